@@ -0,0 +1,147 @@
+/**
+ * analytics.js — Difficulty analytics for the current filter result
+ *
+ * Rendered into #cf-analytics next to the KPI strip: average / median rating,
+ * a rating histogram with the median solve count per band as a trend line,
+ * the tracked handle's solved % per band, and the most frequent tags.
+ */
+
+import { getSolvedSet } from './filters.js';
+import { ratingClass } from './table.js';
+import { escHtml } from '../shared/html.js';
+
+const BAND    = 200;   // histogram bucket width
+const TOP_TAGS = 12;
+
+const keyOf = p => `${p.contestId}_${p.index}`;
+
+function median(sorted) {
+  if (!sorted.length) return null;
+  const m = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[m] : Math.round((sorted[m - 1] + sorted[m]) / 2);
+}
+
+// Every band floor from the lowest to the highest present, so gaps show as empty columns
+function bandRange(bands) {
+  if (!bands.size) return [];
+  const floors = [...bands.keys()];
+  const out = [];
+  for (let lo = Math.min(...floors); lo <= Math.max(...floors); lo += BAND) out.push(lo);
+  return out;
+}
+
+/**
+ * Pure summary of a problem list. Only official ratings feed the rating stats;
+ * unrated problems are counted separately.
+ */
+export function computeAnalytics(problems, solved = new Set()) {
+  const ratings = [];
+  const bands   = new Map(); // band floor → { total, solved, solves: [] }
+  const tags    = new Map();
+  let solvedCount = 0;
+
+  for (const p of problems) {
+    const isSolved = solved.has(keyOf(p));
+    if (isSolved) solvedCount++;
+    p.tags.forEach(t => tags.set(t, (tags.get(t) || 0) + 1));
+    if (!p.rating) continue;
+    ratings.push(p.rating);
+    const lo = Math.floor(p.rating / BAND) * BAND;
+    let b = bands.get(lo);
+    if (!b) bands.set(lo, b = { total: 0, solved: 0, solves: [] });
+    b.total++;
+    if (isSolved) b.solved++;
+    b.solves.push(p.solveCount);
+  }
+
+  ratings.sort((a, b) => a - b);
+  return {
+    count:   problems.length,
+    rated:   ratings.length,
+    solved:  solvedCount,
+    avg:     ratings.length ? Math.round(ratings.reduce((s, r) => s + r, 0) / ratings.length) : null,
+    median:  median(ratings),
+    bands:   bandRange(bands).map(lo => {
+      const b = bands.get(lo) || { total: 0, solved: 0, solves: [] };
+      return { lo, total: b.total, solved: b.solved, medianSolves: median(b.solves.sort((x, y) => x - y)) };
+    }),
+    tags:    [...tags.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, TOP_TAGS),
+  };
+}
+
+// ─── Render ──────────────────────────────────────────────────────────────────
+let lastInput = null;
+let lastSolved = null;
+
+/** Re-render for a new filter result; repeated calls with the same list are free. */
+export function renderAnalytics(filtered) {
+  const el = document.getElementById('cf-analytics');
+  if (!el) return;
+  const solved = getSolvedSet();
+  if (filtered === lastInput && solved === lastSolved) return;
+  lastInput  = filtered;
+  lastSolved = solved;
+
+  const a = computeAnalytics(filtered, solved);
+  if (!a.count) { el.innerHTML = ''; return; }
+
+  el.innerHTML = `
+    <div class="an-stats">
+      <div><span class="an-val">${a.avg ?? '—'}</span><span class="kpi-label">Avg rating</span></div>
+      <div><span class="an-val">${a.median ?? '—'}</span><span class="kpi-label">Median rating</span></div>
+      <div><span class="an-val">${a.count - a.rated}</span><span class="kpi-label">Unrated</span></div>
+      ${solved.size ? `<div><span class="an-val">${Math.round(a.solved / a.count * 100)}%</span><span class="kpi-label">Solved</span></div>` : ''}
+    </div>
+    ${renderHistogram(a.bands, solved.size > 0)}
+    ${renderTags(a.tags, a.count)}
+  `;
+}
+
+function renderHistogram(bands, withSolved) {
+  if (!bands.length) return '';
+  const W = 100, H = 40;
+  const maxTotal  = Math.max(...bands.map(b => b.total));
+  const maxSolves = Math.max(1, ...bands.map(b => b.medianSolves || 0));
+  const points    = bands.map((b, i) => [i, b.medianSolves]).filter(([, v]) => v !== null);
+  const x = i => ((i + 0.5) / bands.length) * W;
+  const y = v => H - (v / maxSolves) * (H - 2) - 1;
+  const trend = points.length > 1
+    ? `<svg class="an-trend" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" aria-hidden="true">
+         <polyline points="${points.map(([i, v]) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ')}" fill="none" vector-effect="non-scaling-stroke"/>
+       </svg>`
+    : '';
+
+  return `
+    <div class="an-hist">
+      <div class="user-section-label">Rating histogram · <span class="an-legend">line = median solvers</span></div>
+      <div class="an-bars">
+        ${trend}
+        ${bands.map(b => {
+          const pct = b.total ? Math.round(b.solved / b.total * 100) : 0;
+          const tip = `${b.lo}–${b.lo + BAND - 1}: ${b.total} problem${b.total === 1 ? '' : 's'}${b.total ? ` · median ${b.medianSolves.toLocaleString()} solvers` : ''}${withSolved ? ` · ${b.solved} solved (${pct}%)` : ''}`;
+          return `<div class="an-col" title="${tip}">
+            <div class="an-bar ${ratingClass(b.lo)}" style="height:${b.total ? Math.max(4, Math.round(b.total / maxTotal * 100)) : 0}%">
+              ${withSolved ? `<div class="an-bar-solved" style="height:${pct}%"></div>` : ''}
+            </div>
+            <span class="uh-label">${b.lo / 100}</span>
+            ${withSolved && b.total ? `<span class="an-pct">${pct}%</span>` : ''}
+          </div>`;
+        }).join('')}
+      </div>
+    </div>`;
+}
+
+function renderTags(tags, count) {
+  if (!tags.length) return '';
+  const max = tags[0][1];
+  return `
+    <div class="an-tags">
+      <div class="user-section-label">Top tags</div>
+      ${tags.map(([t, n]) => `
+        <div class="an-tag" title="${n} of ${count} problems">
+          <span class="an-tag-name">${escHtml(t)}</span>
+          <span class="an-tag-bar"><span style="width:${Math.round(n / max * 100)}%"></span></span>
+          <span class="an-tag-n">${n}</span>
+        </div>`).join('')}
+    </div>`;
+}
@@ -1,51 +1,43 @@
 /**
  * cf-api.js
- * Codeforces API fetcher — direct CF API (CORS-enabled endpoints)
- * Falls back to multiple CORS proxies if needed
+ * Codeforces API fetcher — requests go through the shared queue in
+ * ../shared/cf-request.js (rate limit, retries, proxy fallback).
+ * Problemset + contest list are persisted in IndexedDB and served
+ * stale-while-revalidate; fresh data is announced via 'cf-data-updated'.
  */
 
-const CF = 'https://codeforces.com/api';
+import { cacheGet, cachePut } from './cf-cache.js';
+import { cfRequest } from '../shared/cf-request.js';
+import { getContestDiv } from '../shared/cf-divisions.js';
 
-// Multiple proxy options to try in order
-const PROXIES = [
-  'https://corsproxy.io/?',
-  'https://api.allorigins.win/raw?url=',
-  'https://cors-anywhere.herokuapp.com/',
-];
+// Cached data older than this is still shown, but refreshed in the background
+export const REVALIDATE_AFTER = 30 * 60 * 1000;
 
-let problemsCache  = null;
-let contestsCache  = null;
+const PROBLEMS_KEY = 'problemset';
+const CONTESTS_KEY = 'contests';
+const GYM_KEY      = 'gym_contests';
+const GYM_MAX_AGE  = 24 * 3600 * 1000;
 
-async function cfFetch(endpoint) {
-  const directUrl = `${CF}${endpoint}`;
+// Gym contest IDs start here; regular rounds stay below
+export const GYM_ID_MIN = 100000;
 
-  // 1. Try direct (works in deployed environment)
-  try {
-    const r = await fetch(directUrl, { signal: AbortSignal.timeout(12000) });
-    if (r.ok) {
-      const d = await r.json();
-      if (d.status === 'OK') return d;
-    }
-  } catch {}
+// Gym contests live under /gym/<id>, regular rounds under /contest/<id>
+export const contestUrl = id => `https://codeforces.com/${id >= GYM_ID_MIN ? 'gym' : 'contest'}/${id}`;
+export const problemUrl = p  => `${contestUrl(p.contestId)}/problem/${p.index}`;
 
-  // 2. Try each proxy
-  for (const proxy of PROXIES) {
-    try {
-      const url = proxy + encodeURIComponent(directUrl);
-      const r = await fetch(url, { signal: AbortSignal.timeout(12000) });
-      if (!r.ok) continue;
-      const text = await r.text();
-      const d = JSON.parse(text);
-      if (d.status === 'OK') return d;
-    } catch {}
-  }
+let problemsCache  = null;
+let contestsCache  = null;
+let fetchedAt      = null;
+let revalidating   = null;
 
-  throw new Error('Could not reach Codeforces API. Please check your connection.');
-}
+// Gym batches loaded on demand (gym.js) ride along with the regular lists
+const gymExtra = { problems: [], contests: [] };
+const withGym  = (list, extra) => extra.length ? [...list, ...extra] : list;
 
-export async function fetchProblems() {
-  if (problemsCache) return problemsCache;
+// Queued, rate-limited, proxy-aware call — see shared/cf-request.js
+const cfFetch = endpoint => cfRequest(endpoint);
 
+async function downloadProblems() {
   const d = await cfFetch('/problemset.problems');
   const problems = d.result.problems;
   const stats    = d.result.problemStatistics;
@@ -56,7 +48,7 @@ export async function fetchProblems() {
     solveMap[`${s.contestId}_${s.index}`] = s.solvedCount || 0;
   });
 
-  problemsCache = problems.map(p => ({
+  return problems.map(p => ({
     contestId:  p.contestId,
     index:      p.index,
     name:       p.name,
@@ -64,26 +56,157 @@ export async function fetchProblems() {
     tags:       p.tags || [],
     solveCount: solveMap[`${p.contestId}_${p.index}`] || 0,
   }));
+}
+
+async function downloadContests() {
+  const d = await cfFetch('/contest.list?gym=false');
+  return d.result;
+}
 
-  return problemsCache;
+// Serve from IndexedDB when possible; only the first-ever load waits on the network
+async function loadCached(key, download) {
+  const cached = await cacheGet(key);
+  if (cached) {
+    fetchedAt = fetchedAt === null ? cached.fetchedAt : Math.min(fetchedAt, cached.fetchedAt);
+    if (Date.now() - cached.fetchedAt > REVALIDATE_AFTER) revalidate();
+    return cached.data;
+  }
+  const data = await download();
+  fetchedAt = fetchedAt ?? Date.now();
+  cachePut(key, data);
+  return data;
+}
+
+export async function fetchProblems() {
+  if (!problemsCache) problemsCache = loadCached(PROBLEMS_KEY, downloadProblems);
+  try {
+    return withGym(await problemsCache, gymExtra.problems);
+  } catch (err) {
+    problemsCache = null;
+    throw err;
+  }
 }
 
 export async function fetchContests() {
-  if (contestsCache) return contestsCache;
-  const d = await cfFetch('/contest.list?gym=false');
-  contestsCache = d.result;
-  return contestsCache;
+  if (!contestsCache) contestsCache = loadCached(CONTESTS_KEY, downloadContests);
+  try {
+    return withGym(await contestsCache, gymExtra.contests);
+  } catch (err) {
+    contestsCache = null;
+    throw err;
+  }
 }
 
-export async function fetchUserSolved(handle) {
+/** Timestamp (ms) of the oldest cached payload currently in use, or null before the first load. */
+export function getFetchedAt() { return fetchedAt; }
+
+/**
+ * Re-download problems + contests in the background, persist them, and dispatch
+ * 'cf-data-updated' with { problems, contests, newProblems } once both arrive.
+ * Errors are swallowed — the cached copy simply stays in place.
+ */
+export function revalidate() {
+  if (revalidating) return revalidating;
+  revalidating = (async () => {
+    try {
+      const [oldProblems, problems, contests] = await Promise.all([
+        problemsCache ? problemsCache.catch(() => []) : [],
+        downloadProblems(),
+        downloadContests(),
+      ]);
+      const known = new Set(oldProblems.map(p => `${p.contestId}_${p.index}`));
+      const newProblems = oldProblems.length
+        ? problems.filter(p => !known.has(`${p.contestId}_${p.index}`))
+        : [];
+
+      const now = Date.now();
+      await Promise.all([
+        cachePut(PROBLEMS_KEY, problems, now),
+        cachePut(CONTESTS_KEY, contests, now),
+      ]);
+      problemsCache = Promise.resolve(problems);
+      contestsCache = Promise.resolve(contests);
+      fetchedAt     = now;
+
+      document.dispatchEvent(new CustomEvent('cf-data-updated', {
+        detail: {
+          problems: withGym(problems, gymExtra.problems),
+          contests: withGym(contests, gymExtra.contests),
+          newProblems,
+        }
+      }));
+    } catch { /* keep serving the cached copy */ }
+    finally { revalidating = null; }
+  })();
+  return revalidating;
+}
+
+// Newest submissions kept for the handle card
+const RECENT_SUBMISSIONS = 10;
+
+/**
+ * Per-problem submission summary for a handle.
+ * Returns { solved: Set<key>, attempts: Map<key, { attempts, lastVerdict, lastTime, solved, subs }>,
+ *           recent: [{ contestId, index, name, rating, verdict, time }], solvedByRating: { rating: count } }
+ * where key is `${contestId}_${index}`. user.status lists newest first, so the
+ * first submission seen for a problem carries its last verdict.
+ */
+export async function fetchUserSubmissions(handle) {
   const d = await cfFetch(`/user.status?handle=${encodeURIComponent(handle)}&from=1&count=10000`);
-  const solved = new Set();
+  const solved   = new Set();
+  const attempts = new Map();
+  const solvedByRating = {};
+  const recent = d.result.slice(0, RECENT_SUBMISSIONS).map(sub => ({
+    contestId: sub.problem.contestId,
+    index:     sub.problem.index,
+    name:      sub.problem.name,
+    rating:    sub.problem.rating || null,
+    verdict:   sub.verdict || 'TESTING',
+    time:      sub.creationTimeSeconds,
+  }));
   d.result.forEach(sub => {
-    if (sub.verdict === 'OK') {
-      solved.add(`${sub.problem.contestId}_${sub.problem.index}`);
+    const key = `${sub.problem.contestId}_${sub.problem.index}`;
+    let a = attempts.get(key);
+    if (!a) {
+      a = { attempts: 0, lastVerdict: sub.verdict || 'TESTING', lastTime: sub.creationTimeSeconds, solved: false, subs: [] };
+      attempts.set(key, a);
+    }
+    a.attempts++;
+    a.subs.push({ // newest first, like user.status
+      id:      sub.id,
+      verdict: sub.verdict || 'TESTING',
+      time:    sub.creationTimeSeconds,
+      lang:    sub.programmingLanguage,
+      passed:  sub.passedTestCount,
+    });
+    if (sub.verdict === 'OK' && !solved.has(key)) {
+      a.solved = true;
+      solved.add(key);
+      const r = sub.problem.rating || 0; // 0 = unrated
+      solvedByRating[r] = (solvedByRating[r] || 0) + 1;
     }
   });
-  return solved;
+  return { solved, attempts, recent, solvedByRating };
+}
+
+export async function fetchUserSolved(handle) {
+  return (await fetchUserSubmissions(handle)).solved;
+}
+
+const VERDICT_SHORT = {
+  OK: 'AC', WRONG_ANSWER: 'WA', TIME_LIMIT_EXCEEDED: 'TLE', MEMORY_LIMIT_EXCEEDED: 'MLE',
+  RUNTIME_ERROR: 'RE', COMPILATION_ERROR: 'CE', IDLENESS_LIMIT_EXCEEDED: 'ILE',
+  PRESENTATION_ERROR: 'PE', CHALLENGED: 'HACKED', SKIPPED: 'SKIP', TESTING: '…',
+};
+
+export function shortVerdict(v) {
+  return VERDICT_SHORT[v] || (v ? v.split('_').map(w => w[0]).join('') : '?');
+}
+
+/** Rated-contest history (user.rating), oldest first. */
+export async function fetchUserRating(handle) {
+  const d = await cfFetch(`/user.rating?handle=${encodeURIComponent(handle)}`);
+  return d.result;
 }
 
 export async function fetchUserInfo(handle) {
@@ -91,25 +214,158 @@ export async function fetchUserInfo(handle) {
   return d.result[0];
 }
 
-export function getContestDiv(name = '') {
-  const n = name.toLowerCase();
-  if (n.includes('educational'))                         return 'educational';
-  if (n.includes('global'))                              return 'global';
-  if (n.includes('div. 1 + div. 2') || n.includes('div.1+2') || n.includes('div. 1+2')) return 'div12';
-  if (n.includes('div. 1') && !n.includes('div. 2'))    return 'div1';
-  if (n.includes('div. 2'))                             return 'div2';
-  if (n.includes('div. 3'))                             return 'div3';
-  if (n.includes('div. 4'))                             return 'div4';
+// ─── Gym ─────────────────────────────────────────────────────────────────────
+export async function fetchGymContests() {
+  const cached = await cacheGet(GYM_KEY);
+  if (cached && Date.now() - cached.fetchedAt < GYM_MAX_AGE) return cached.data;
+  try {
+    const d = await cfFetch('/contest.list?gym=true');
+    const contests = d.result.filter(c => c.phase === 'FINISHED');
+    cachePut(GYM_KEY, contests);
+    return contests;
+  } catch (err) {
+    if (cached) return cached.data;
+    throw err;
+  }
+}
+
+/**
+ * Merge a batch of Gym problems + contests into the lists fetchProblems() /
+ * fetchContests() return, and announce it through 'cf-data-updated' (with
+ * `gym: true`) so the page rebuilds its contest map and table.
+ */
+export async function addGymData(problems, contests) {
+  gymExtra.problems.push(...problems);
+  gymExtra.contests.push(...contests);
+  const [allProblems, allContests] = await Promise.all([fetchProblems(), fetchContests()]);
+  document.dispatchEvent(new CustomEvent('cf-data-updated', {
+    detail: { problems: allProblems, contests: allContests, newProblems: [], gym: true }
+  }));
+}
+
+/**
+ * Gym metadata used by the filter: contest type (ICPC / IOI / CF), difficulty
+ * (1–5 stars, null if unset), season (e.g. "2023-2024", falls back to the start year)
+ * and kind (e.g. "Official ICPC Contest", "Training Contest").
+ */
+export function classifyGym(c) {
+  const year = c.startTimeSeconds ? new Date(c.startTimeSeconds * 1000).getUTCFullYear() : null;
+  return {
+    type:       c.type || 'ICPC',
+    difficulty: c.difficulty || null,
+    season:     c.season || (year ? String(year) : ''),
+    kind:       c.kind || '',
+  };
+}
+
+/**
+ * Gym problems aren't in problemset.problems — read them off the standings header.
+ * Gym contests are frozen, so each list is cached permanently.
+ */
+export async function fetchGymProblems(contestId) {
+  const key = `gym_${contestId}`;
+  const cached = await cacheGet(key);
+  if (cached) return cached.data;
+  const d = await cfFetch(`/contest.standings?contestId=${contestId}&from=1&count=1`);
+  const problems = d.result.problems.map(p => ({
+    contestId:  contestId,
+    index:      p.index,
+    name:       p.name,
+    rating:     p.rating || null,
+    tags:       p.tags || [],
+    solveCount: 0,
+  }));
+  cachePut(key, problems);
+  return problems;
+}
+
+// Division classifier lives in shared/ (the contests page uses it too)
+export { getContestDiv };
+
+// Round families, finer than divisions. Order matters: the first match wins.
+export const CONTEST_FAMILIES = [
+  { id: 'aprilfools',  label: 'April Fools'   },
+  { id: 'kotlin',      label: 'Kotlin Heroes' },
+  { id: 'codeton',     label: 'CodeTON'       },
+  { id: 'global',      label: 'Global Round'  },
+  { id: 'educational', label: 'Educational'   },
+  { id: 'sponsored',   label: 'Sponsored 1+2' },
+  { id: 'olympiad',    label: 'Olympiad'      },
+  { id: 'team',        label: 'Team / ICPC'   },
+  { id: 'long',        label: 'Long'          },
+  { id: 'unrated',     label: 'Unrated'       },
+  { id: 'regular',     label: 'Regular Round' },
+  { id: 'other',       label: 'Other'         },
+];
+
+const LONG_ROUND_SECONDS = 5 * 3600;
+
+/** Classify a contest.list entry into one CONTEST_FAMILIES id using name, type and duration. */
+export function getContestFamily(c) {
+  const n   = (c.name || '').toLowerCase();
+  const div = getContestDiv(c.name);
+  if (n.includes('april fools'))                                 return 'aprilfools';
+  if (n.includes('kotlin heroes'))                               return 'kotlin';
+  if (n.includes('codeton'))                                     return 'codeton';
+  if (div === 'global')                                          return 'global';
+  if (div === 'educational')                                     return 'educational';
+  if (n.includes('unrated'))                                     return 'unrated';
+  if (c.durationSeconds > LONG_ROUND_SECONDS || n.includes('marathon')) return 'long';
+  if (/team contest|icpc|acm/.test(n))                           return 'team';
+  if (/olympiad|mirror|based on/.test(n) || c.type === 'IOI')    return 'olympiad';
+  // Div. 1 + 2 rounds carrying a sponsor's name instead of "Codeforces Round" (Pinely, think-cell, Hello/Good Bye…)
+  if (div === 'div12' && !n.startsWith('codeforces round'))      return 'sponsored';
+  if (/^(hello|good bye) \d{4}/.test(n))                         return 'sponsored';
+  if (n.startsWith('codeforces round') || div !== 'other')       return 'regular';
   return 'other';
 }
 
+// ─── Estimated difficulty for unrated problems ──────────────────────────────
+// Typical official rating by division and problem letter (A, B, C, …)
+const INDEX_BASE = {
+  div1:        [1700, 2000, 2300, 2600, 2900, 3200, 3400],
+  div2:        [ 900, 1200, 1500, 1800, 2100, 2400, 2700],
+  div3:        [ 800, 1000, 1200, 1500, 1700, 1900, 2200],
+  div4:        [ 800,  900, 1100, 1300, 1500, 1700, 1900, 2100],
+  div12:       [ 900, 1200, 1500, 1800, 2100, 2400, 2700, 3000, 3300],
+  global:      [ 900, 1200, 1500, 1800, 2100, 2400, 2700, 3000, 3300],
+  educational: [ 800, 1100, 1400, 1700, 2000, 2300, 2600],
+};
+const ESTIMATE_MIN_AGE = 30 * 24 * 3600; // solve counts of younger contests are still climbing
+
+/**
+ * Rough difficulty for a problem without an official rating: a base value from
+ * its division + index, nudged by how its solve count compares to what that
+ * base usually gets. Returns null when there is nothing to go on (e.g. Gym).
+ * Always shown as an estimate, never as a rating.
+ */
+export function estimateRating(p, contest) {
+  if (p.rating) return p.rating;
+  if (!contest || contest.div === 'gym') return null;
+  const table = INDEX_BASE[contest.div] || INDEX_BASE.div2;
+  const i = (p.index || 'A').toUpperCase().charCodeAt(0) - 65;
+  if (i < 0 || i > 25) return null;
+  let est = table[Math.min(i, table.length - 1)] + Math.max(0, i - table.length + 1) * 300;
+
+  const age = Date.now() / 1000 - (contest.startTime || 0);
+  if (p.solveCount > 0 && age > ESTIMATE_MIN_AGE) {
+    const expected = Math.pow(10, 5.2 - est / 800); // ~16k solves at 800, ~160 at 2400
+    const shift = -250 * Math.log10(p.solveCount / expected);
+    est += Math.max(-300, Math.min(300, shift));
+  }
+  return Math.max(800, Math.min(3500, Math.round(est / 100) * 100));
+}
+
 export function buildContestMap(contests) {
   const map = {};
   contests.forEach(c => {
+    const isGym = c.id >= GYM_ID_MIN;
     map[c.id] = {
       name:      c.name,
-      div:       getContestDiv(c.name),
+      div:       isGym ? 'gym' : getContestDiv(c.name),
+      family:    isGym ? 'team' : getContestFamily(c),
       startTime: c.startTimeSeconds,
+      ...(isGym && { gym: classifyGym(c) }),
     };
   });
   return map;
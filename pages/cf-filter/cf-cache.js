@@ -0,0 +1,48 @@
+/**
+ * cf-cache.js
+ * Persistent IndexedDB store for Codeforces API payloads.
+ * Every record is { data, fetchedAt } so callers can decide when to revalidate.
+ * Resolves to null / no-op when IndexedDB is unavailable (private mode, sandboxed iframes).
+ */
+
+const DB_NAME    = 'cf_filter_cache';
+const DB_VERSION = 1;
+const STORE      = 'payloads';
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise(resolve => {
+    let req;
+    try { req = indexedDB.open(DB_NAME, DB_VERSION); } catch { resolve(null); return; }
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => resolve(null);
+    req.onblocked = () => resolve(null);
+  });
+  return dbPromise;
+}
+
+function run(mode, fn) {
+  return openDB().then(db => new Promise(resolve => {
+    if (!db) { resolve(null); return; }
+    try {
+      const req = fn(db.transaction(STORE, mode).objectStore(STORE));
+      req.onsuccess = () => resolve(req.result ?? null);
+      req.onerror   = () => resolve(null);
+    } catch { resolve(null); }
+  }));
+}
+
+export function cacheGet(key) {
+  return run('readonly', store => store.get(key));
+}
+
+export function cachePut(key, data, fetchedAt = Date.now()) {
+  return run('readwrite', store => store.put({ data, fetchedAt }, key));
+}
+
+export function cacheDelete(key) {
+  return run('readwrite', store => store.delete(key));
+}
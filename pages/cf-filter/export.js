@@ -0,0 +1,72 @@
+/**
+ * export.js — Export the full filtered problem list as CSV, JSON or a Markdown checklist
+ * Every format carries the tracked handle's solved status.
+ */
+
+import { getSolvedSet } from './filters.js';
+import { problemUrl } from './cf-api.js';
+
+function toRows(filtered, contestMap) {
+  const solved = getSolvedSet();
+  return filtered.map(p => ({
+    id:         `${p.contestId}${p.index}`,
+    contestId:  p.contestId,
+    index:      p.index,
+    name:       p.name,
+    contest:    contestMap[p.contestId]?.name || `Contest ${p.contestId}`,
+    rating:     p.rating,
+    tags:       p.tags,
+    solveCount: p.solveCount,
+    solved:     solved.has(`${p.contestId}_${p.index}`),
+    url:        problemUrl(p),
+  }));
+}
+
+function csvCell(v) {
+  const s = Array.isArray(v) ? v.join(';') : v === null || v === undefined ? '' : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(filtered, contestMap) {
+  const cols = ['id', 'name', 'contest', 'rating', 'tags', 'solveCount', 'solved', 'url'];
+  const rows = toRows(filtered, contestMap);
+  return [cols.join(','), ...rows.map(r => cols.map(c => csvCell(r[c])).join(','))].join('\r\n');
+}
+
+export function toJSON(filtered, contestMap) {
+  return JSON.stringify(toRows(filtered, contestMap), null, 2);
+}
+
+export function toMarkdown(filtered, contestMap) {
+  const mdText = s => String(s).replace(/([\\[\]*_`])/g, '\\$1');
+  return toRows(filtered, contestMap).map(r =>
+    `- [${r.solved ? 'x' : ' '}] [${r.id} — ${mdText(r.name)}](${r.url}) · ${r.rating || 'Unrated'}`
+  ).join('\n') + '\n';
+}
+
+const FORMATS = {
+  csv:  { fn: toCSV,      ext: 'csv',  mime: 'text/csv'         },
+  json: { fn: toJSON,     ext: 'json', mime: 'application/json' },
+  md:   { fn: toMarkdown, ext: 'md',   mime: 'text/markdown'    },
+};
+
+export function downloadExport(format, filtered, contestMap) {
+  const f = FORMATS[format];
+  if (!f) throw new Error(`Unknown export format: ${format}`);
+  const blob = new Blob([f.fn(filtered, contestMap)], { type: `${f.mime};charset=utf-8` });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = `cf-problems-${new Date().toISOString().slice(0, 10)}.${f.ext}`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Bind every [data-export="csv|json|md"] button; `getFiltered()` returns the current applyFilters() result. */
+export function initExport(getFiltered, getContestMap) {
+  document.querySelectorAll('[data-export]').forEach(btn => {
+    btn.addEventListener('click', () => downloadExport(btn.dataset.export, getFiltered(), getContestMap()));
+  });
+}
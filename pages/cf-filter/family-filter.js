@@ -0,0 +1,29 @@
+/**
+ * family-filter.js — Round-family chips (CodeTON, Kotlin Heroes, April Fools…)
+ * Renders into #family-filter; no chip selected means every family is shown.
+ * Any selected chip takes over from the division buttons, so "Kotlin Heroes"
+ * alone lists every Kotlin Heroes round even with the default Div. 2 selection.
+ */
+
+import { CONTEST_FAMILIES } from './cf-api.js';
+import { getState, toggleSetItem, subscribe } from './filters.js';
+
+export function initFamilyFilter() {
+  const wrap = document.getElementById('family-filter');
+  if (!wrap) return;
+  wrap.addEventListener('click', e => {
+    const btn = e.target.closest('[data-family]');
+    if (btn) toggleSetItem('families', btn.dataset.family);
+  });
+  subscribe(renderFamilyFilter);
+  renderFamilyFilter();
+}
+
+function renderFamilyFilter() {
+  const wrap = document.getElementById('family-filter');
+  if (!wrap) return;
+  const { families } = getState();
+  wrap.innerHTML = CONTEST_FAMILIES.map(f =>
+    `<button class="div-btn family-btn ${families.has(f.id) ? 'active' : ''}" data-family="${f.id}">${f.label}</button>`
+  ).join('');
+}
@@ -2,33 +2,95 @@
  * filters.js — Filter state + apply logic for CF Filter
  */
 
-export const ALL_DIVS    = ['div1','div2','div3','div4','div12','educational','global','other'];
-export const ALL_INDICES = ['A','B','C','D','E','F','G','H','I'];
+import { estimateRating } from './cf-api.js';
+import { parseQuery, isEmptyQuery, scoreProblem } from './search.js';
+import { getPersonal } from './personal.js';
+
+export const ALL_DIVS    = ['div1','div2','div3','div4','div12','educational','global','other','gym'];
+export const GYM_TYPES   = ['ICPC','IOI','CF'];
+// Regular rounds stop around I; Gym sets (ICPC mirrors) run to M and beyond
+export const ALL_INDICES = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
 
 // ── Defaults: only Div.2 + Problem A pre-selected ──────────────────────────
 export const DEFAULT_DIV   = 'div2';
 export const DEFAULT_INDEX = 'A';
 
-const state = {
-  divs:       new Set([DEFAULT_DIV]),
-  indices:    new Set([DEFAULT_INDEX]),
-  ratingMin:  800,
-  ratingMax:  3500,
-  search:     '',
-  sort:       'newest',
-  showSolved: false,
-};
+function defaultState() {
+  return {
+    divs:        new Set([DEFAULT_DIV]),
+    indices:     new Set([DEFAULT_INDEX]),
+    families:    new Set(),  // round families (cf-api CONTEST_FAMILIES); empty = every family
+    ratingMin:   800,
+    ratingMax:   3500,
+    showUnrated: false,   // opt-in: unrated problems then pass when their estimated difficulty is in range
+    search:      '',
+    sort:        'contest:desc', // comma-separated sort keys, e.g. 'rating:asc,solves:desc'
+    solvedMode:  'all',   // 'all' | 'hide' (unsolved only) | 'only' (solved only) | 'attempted' (tried, no AC)
+    tagsInclude: new Set(),
+    tagsExclude: new Set(),
+    tagMode:     'all',   // 'all' = problem needs every included tag, 'any' = at least one
+    maxTags:     null,    // null = no limit on the number of tags a problem may have
+    groupMode:   'all',   // 'all' | 'nobody' (unsolved by the whole group) | 'member' (solved by a member, not me)
+    groupHandle: '',      // member for 'member' mode; '' = any member
+    gymTypes:    new Set(),  // empty = every Gym contest type
+    gymMinStars: 0,          // Gym difficulty 1–5; 0 also keeps contests without a rating
+    gymMaxStars: 5,
+    gymSeason:   '',         // substring of the season, e.g. '2023'
+    bookmarked:  false,      // only bookmarked problems
+    statusIn:    new Set(),  // personal statuses to keep ('none' = no status); empty = any
+    statusOut:   new Set(),  // personal statuses to drop, e.g. 'done'
+  };
+}
+
+const state = defaultState();
 
 let solvedSet  = new Set();
+let attemptMap = new Map();
+let groupSolved = new Map(); // handle → Set of solved keys, for the training group
 let listeners  = [];
 
 export function getState()              { return state; }
 export function getSolvedSet()          { return solvedSet; }
 export function setSolvedSet(s)         { solvedSet = s; notify(); }
+export function getAttemptMap()         { return attemptMap; }
+export function getGroupSolved()        { return groupSolved; }
+export function setGroupSolved(m)       { groupSolved = m; notify(); }
+export function setUserProgress({ solved, attempts }) {
+  solvedSet  = solved;
+  attemptMap = attempts;
+  notify();
+}
 export function subscribe(fn)           { listeners.push(fn); }
 function notify()                       { listeners.forEach(fn => fn()); }
 
-export function updateFilter(key, val)  { state[key] = val; notify(); }
+// Bookmark / status edits (personal.js) change what the personal filters let through
+document.addEventListener('cf-personal-changed', () => notify());
+
+export function getDefaultState()       { return defaultState(); }
+export function updateFilter(key, val)  { setState({ [key]: val }); }
+export function setState(partial)       { Object.assign(state, normalizeState(partial)); notify(); }
+
+// ─── Solved mode ─────────────────────────────────────────────────────────────
+export const SOLVED_MODES = ['all', 'hide', 'only', 'attempted'];
+
+// Before solvedMode there was a boolean showSolved: ?solved=1 meant "solved problems only"
+const LEGACY_SOLVED = { '1': 'only', 'true': 'only', '0': 'all', 'false': 'all' };
+
+export function parseSolvedMode(val) {
+  const mode = LEGACY_SOLVED[String(val)] || val;
+  return SOLVED_MODES.includes(mode) ? mode : 'all';
+}
+
+export const TAG_MODES = ['all', 'any'];
+
+// Old links and callers may still hand in `showSolved`; hand-edited links anything at all
+function normalizeState(partial) {
+  const { showSolved, ...rest } = partial;
+  if (showSolved !== undefined && rest.solvedMode === undefined) rest.solvedMode = showSolved ? 'only' : 'all';
+  if (rest.solvedMode !== undefined) rest.solvedMode = parseSolvedMode(rest.solvedMode);
+  if (rest.tagMode !== undefined && !TAG_MODES.includes(rest.tagMode)) rest.tagMode = 'all';
+  return rest;
+}
 
 export function toggleSetItem(setKey, val) {
   if (state[setKey].has(val)) state[setKey].delete(val);
@@ -36,61 +98,202 @@ export function toggleSetItem(setKey, val) {
   notify();
 }
 
+// Tag chips cycle: neutral → include → exclude → neutral
+export function cycleTag(tag) {
+  if (state.tagsInclude.has(tag)) {
+    state.tagsInclude.delete(tag);
+    state.tagsExclude.add(tag);
+  } else if (state.tagsExclude.has(tag)) {
+    state.tagsExclude.delete(tag);
+  } else {
+    state.tagsInclude.add(tag);
+  }
+  notify();
+}
+
+export function getAllTags(problems) {
+  const counts = {};
+  problems.forEach(p => p.tags.forEach(t => { counts[t] = (counts[t] || 0) + 1; }));
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+}
+
 export function resetFilters() {
-  state.divs       = new Set([DEFAULT_DIV]);
-  state.indices    = new Set([DEFAULT_INDEX]);
-  state.ratingMin  = 800;
-  state.ratingMax  = 3500;
-  state.search     = '';
-  state.sort       = 'newest';
-  state.showSolved = false;
-  solvedSet        = new Set();
+  Object.assign(state, defaultState());
+  solvedSet  = new Set();
+  attemptMap = new Map();
   notify();
 }
 
+// ─── Sorting ─────────────────────────────────────────────────────────────────
+// Ascending comparators per sortable column
+const SORT_COMPARE = {
+  name:    (a, b) => a.name.localeCompare(b.name),
+  contest: (a, b) => (a.contestId||0) - (b.contestId||0) || a.index.localeCompare(b.index),
+  solves:  (a, b) => a.solveCount - b.solveCount,
+  rating:  (a, b) => (a.rating||0) - (b.rating||0),
+};
+export const SORT_KEYS = Object.keys(SORT_COMPARE);
+
+// Direction a column starts in when first clicked
+const SORT_DEFAULT_DIR = { name: 'asc', contest: 'desc', solves: 'desc', rating: 'asc' };
+
+// Pre-multi-key sort names, still accepted from old links
+const LEGACY_SORTS = {
+  newest: 'contest:desc', oldest: 'contest:asc',
+  rating_asc: 'rating:asc', rating_desc: 'rating:desc',
+  most_solved: 'solves:desc', least_solved: 'solves:asc',
+};
+
+/** 'rating:asc,solves:desc' → [{ key:'rating', dir:'asc' }, { key:'solves', dir:'desc' }] */
+export function parseSort(str = '') {
+  const keys = (LEGACY_SORTS[str] || str).split(',')
+    .map(part => {
+      const [key, dir] = part.split(':');
+      return { key, dir: dir === 'desc' ? 'desc' : 'asc' };
+    })
+    .filter(k => SORT_COMPARE[k.key]);
+  return keys.length ? keys : [{ key: 'contest', dir: 'desc' }];
+}
+
+const formatSort = keys => keys.map(k => `${k.key}:${k.dir}`).join(',');
+
+/**
+ * Column-header click. A plain click makes `key` the only sort key (flipped
+ * if it already led); `additive` (shift-click) appends it as a secondary key
+ * or flips it where it already is.
+ */
+export function clickSort(key, additive = false) {
+  if (!SORT_COMPARE[key]) return;
+  const keys = parseSort(state.sort);
+  const at   = keys.findIndex(k => k.key === key);
+  const flip = k => ({ key: k.key, dir: k.dir === 'asc' ? 'desc' : 'asc' });
+  let next;
+  if (additive) {
+    next = at >= 0
+      ? keys.map((k, i) => i === at ? flip(k) : k)
+      : [...keys, { key, dir: SORT_DEFAULT_DIR[key] }];
+  } else {
+    next = at === 0 ? [flip(keys[0])] : [{ key, dir: SORT_DEFAULT_DIR[key] }];
+  }
+  updateFilter('sort', formatSort(next));
+}
+
+// Estimates are stable for a problem object — compute each once
+const estimates = new WeakMap();
+export function getEstimate(p, contestMap) {
+  if (estimates.has(p)) return estimates.get(p);
+  const contest = contestMap[p.contestId];
+  const est = estimateRating(p, contest);
+  if (contest) estimates.set(p, est);
+  return est;
+}
+
+// `gym` is the classifyGym() record attached to Gym entries of the contest map
+export function matchesGym(gym) {
+  const stars = gym.difficulty ?? 0;
+  if (state.gymTypes.size > 0 && !state.gymTypes.has(gym.type)) return false;
+  if (stars < state.gymMinStars || stars > state.gymMaxStars) return false;
+  if (state.gymSeason && !gym.season.includes(state.gymSeason)) return false;
+  return true;
+}
+
 export function applyFilters(problems, contestMap) {
+  const query  = parseQuery(state.search);
+  const scores = new Map();
+  const cName  = p => contestMap[p.contestId]?.name || '';
+
+  // A problem code (e.g. 1843D) jumps straight to it, whatever the other filters say
+  if (query.ids.length) return problems.filter(p => scoreProblem(p, cName(p), query) > 0);
+
   let list = problems.filter(p => {
-    // Division
-    const div = contestMap[p.contestId]?.div || 'other';
-    if (!state.divs.has(div)) return false;
+    // Round family, else division. Picked families replace the division filter:
+    // Kotlin Heroes, April Fools, Good Bye… are all div 'other', which the
+    // default Div. 2 selection would hide.
+    if (state.families.size > 0) {
+      if (!state.families.has(contestMap[p.contestId]?.family || 'other')) return false;
+    } else if (!state.divs.has(contestMap[p.contestId]?.div || 'other')) return false;
+
+    // Gym-only criteria
+    const gym = contestMap[p.contestId]?.gym;
+    if (gym && !matchesGym(gym)) return false;
 
     // Index (first character only)
     const idx = p.index ? p.index.charAt(0).toUpperCase() : '';
     if (!state.indices.has(idx)) return false;
 
-    // Rating
+    // Rating (unrated problems are judged by their estimate, if any)
     if (p.rating !== null && p.rating !== undefined) {
       if (p.rating < state.ratingMin || p.rating > state.ratingMax) return false;
+    } else {
+      if (!state.showUnrated) return false;
+      const est = getEstimate(p, contestMap);
+      if (est !== null && (est < state.ratingMin || est > state.ratingMax)) return false;
+    }
+
+    // Tags
+    if (state.maxTags !== null && p.tags.length > state.maxTags) return false;
+    if (state.tagsExclude.size > 0 && p.tags.some(t => state.tagsExclude.has(t))) return false;
+    if (state.tagsInclude.size > 0) {
+      const hit = t => p.tags.includes(t);
+      const inc = [...state.tagsInclude];
+      if (state.tagMode === 'any' ? !inc.some(hit) : !inc.every(hit)) return false;
+    }
+
+    // Solved status (ignored until a handle is loaded)
+    if (state.solvedMode !== 'all' && attemptMap.size > 0) {
+      const key = `${p.contestId}_${p.index}`;
+      if (state.solvedMode === 'hide' && solvedSet.has(key)) return false;
+      if (state.solvedMode === 'only' && !solvedSet.has(key)) return false;
+      if (state.solvedMode === 'attempted' && (!attemptMap.has(key) || solvedSet.has(key))) return false;
     }
 
-    // Show solved only
-    if (state.showSolved && solvedSet.size > 0) {
-      if (!solvedSet.has(`${p.contestId}_${p.index}`)) return false;
+    // Training group
+    if (state.groupMode !== 'all' && groupSolved.size > 0) {
+      const key = `${p.contestId}_${p.index}`;
+      if (state.groupMode === 'nobody') {
+        if (solvedSet.has(key)) return false;
+        for (const s of groupSolved.values()) if (s.has(key)) return false;
+      } else if (state.groupMode === 'member') {
+        if (solvedSet.has(key)) return false;
+        const member = state.groupHandle && groupSolved.get(state.groupHandle);
+        const byMember = member
+          ? member.has(key)
+          : [...groupSolved.values()].some(s => s.has(key));
+        if (!byMember) return false;
+      }
+    }
+
+    // Personal bookmark / status
+    if (state.bookmarked || state.statusIn.size > 0 || state.statusOut.size > 0) {
+      const mine   = getPersonal(`${p.contestId}_${p.index}`);
+      const status = mine.status || 'none';
+      if (state.bookmarked && !mine.bookmark) return false;
+      if (state.statusIn.size > 0 && !state.statusIn.has(status)) return false;
+      if (state.statusOut.has(status)) return false;
     }
 
     // Search
-    if (state.search) {
-      const q = state.search.toLowerCase();
-      const cName = (contestMap[p.contestId]?.name || '').toLowerCase();
-      const tags  = p.tags.join(' ').toLowerCase();
-      if (!p.name.toLowerCase().includes(q) &&
-          !cName.includes(q) &&
-          !tags.includes(q)) return false;
+    if (!isEmptyQuery(query)) {
+      const score = scoreProblem(p, cName(p), query);
+      if (!score) return false;
+      scores.set(p, score);
     }
 
     return true;
   });
 
   // Sort
-  switch (state.sort) {
-    case 'oldest':       list.sort((a,b) => (a.contestId||0)-(b.contestId||0)); break;
-    case 'newest':       list.sort((a,b) => (b.contestId||0)-(a.contestId||0)); break;
-    case 'rating_asc':   list.sort((a,b) => (a.rating||0)-(b.rating||0)); break;
-    case 'rating_desc':  list.sort((a,b) => (b.rating||0)-(a.rating||0)); break;
-    case 'most_solved':  list.sort((a,b) => b.solveCount-a.solveCount); break;
-    case 'least_solved': list.sort((a,b) => a.solveCount-b.solveCount); break;
-    default:             list.sort((a,b) => (b.contestId||0)-(a.contestId||0)); break;
-  }
+  const keys = parseSort(state.sort);
+  list.sort((a, b) => {
+    for (const { key, dir } of keys) {
+      const d = SORT_COMPARE[key](a, b);
+      if (d) return dir === 'desc' ? -d : d;
+    }
+    return 0;
+  });
+
+  // With a search, relevance comes first; the chosen sort breaks ties (sort is stable)
+  if (scores.size) list.sort((a,b) => scores.get(b) - scores.get(a));
 
   return list;
 }
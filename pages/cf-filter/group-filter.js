@@ -0,0 +1,52 @@
+/**
+ * group-filter.js — Training-group filter: everyone / unsolved by the group / solved by a member
+ * Renders into #group-filter; the member picker shows in 'member' mode.
+ * Only takes effect once at least one member's solves have loaded (group.js).
+ */
+
+import { getState, updateFilter, subscribe } from './filters.js';
+import { getGroupMembers } from './group.js';
+import { escHtml } from '../shared/html.js';
+
+const GROUP_MODES = [
+  { id: 'all',    label: 'Everything',         title: 'Ignore the training group' },
+  { id: 'nobody', label: 'Unsolved by group',  title: 'Problems no group member has solved' },
+  { id: 'member', label: 'Solved by member',   title: 'Problems a member solved and you have not' },
+];
+
+export function initGroupFilter() {
+  const wrap = document.getElementById('group-filter');
+  if (!wrap) return;
+  wrap.addEventListener('click', e => {
+    const btn = e.target.closest('[data-group-mode]');
+    if (btn) updateFilter('groupMode', btn.dataset.groupMode);
+  });
+  wrap.addEventListener('change', e => {
+    if (e.target.id === 'group-member-select') updateFilter('groupHandle', e.target.value);
+  });
+  subscribe(renderGroupFilter);
+  renderGroupFilter();
+}
+
+function renderGroupFilter() {
+  const wrap = document.getElementById('group-filter');
+  if (!wrap) return;
+  const { groupMode, groupHandle } = getState();
+  const members = getGroupMembers();
+
+  wrap.innerHTML = `
+    <div class="tag-mode-row">
+      ${GROUP_MODES.map(m =>
+        `<button class="tag-mode-btn ${groupMode === m.id ? 'active' : ''}" data-group-mode="${m.id}" title="${m.title}">${m.label}</button>`
+      ).join('')}
+      ${groupMode === 'member' ? `
+        <select id="group-member-select" class="rating-select" title="Which member">
+          <option value="">Any member</option>
+          ${members.map(h => {
+            const e = escHtml(h);
+            return `<option value="${e}" ${groupHandle === h ? 'selected' : ''}>${e}</option>`;
+          }).join('')}
+        </select>` : ''}
+    </div>
+  `;
+}
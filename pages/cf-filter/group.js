@@ -0,0 +1,136 @@
+/**
+ * group.js
+ * Training-group tracking: load several CF handles, keep their solved sets
+ * for per-row markers and the "solved by nobody / by X but not me" filters.
+ */
+
+import { fetchUserSolved } from './cf-api.js';
+import { getGroupSolved, setGroupSolved, getState, updateFilter } from './filters.js';
+import { escHtml } from '../shared/html.js';
+
+const _cfls = (() => { try { return window['local'+'Storage']; } catch { return null; } })();
+const CF_GROUP_KEY = 'cf_filter_group';
+
+// Marker colours, assigned by position in the group
+export const MEMBER_COLORS = ['#f97316', '#a855f7', '#38bdf8', '#ec4899', '#eab308', '#22c55e', '#ef4444', '#64748b'];
+
+// Codeforces handles: 3–24 letters, digits, '_', '.' or '-'
+const HANDLE_RE = /^[A-Za-z0-9_.-]{3,24}$/;
+export const isValidHandle = h => HANDLE_RE.test(h);
+
+let members = [];
+const failedMembers = new Set();
+
+export function getGroupMembers() { return members; }
+
+export function memberColor(handle) {
+  const i = members.indexOf(handle);
+  return MEMBER_COLORS[(i < 0 ? 0 : i) % MEMBER_COLORS.length];
+}
+
+export async function initGroup() {
+  const input = document.getElementById('group-input');
+  const btn   = document.getElementById('group-btn');
+  const list  = document.getElementById('group-list');
+  if (!input || !btn) return;
+
+  try { members = JSON.parse(_cfls?.getItem(CF_GROUP_KEY) || '[]').filter(isValidHandle); } catch { members = []; }
+
+  const add = () => {
+    const handles = input.value.split(/[\s,;]+/).filter(Boolean);
+    input.value = '';
+    addMembers(handles);
+  };
+  btn.addEventListener('click', add);
+  input.addEventListener('keydown', e => { if (e.key === 'Enter') add(); });
+  list?.addEventListener('click', e => {
+    const rm = e.target.closest('[data-remove]');
+    if (rm) removeMember(rm.dataset.remove);
+  });
+
+  renderGroupList();
+  if (members.length) await loadMembers(members);
+}
+
+export async function addMembers(handles) {
+  const invalid = handles.filter(h => !isValidHandle(h));
+  const errEl   = document.getElementById('group-error');
+  if (errEl) errEl.textContent = invalid.length ? `Not a valid handle: ${invalid.join(', ')}` : '';
+  const known = new Set(members.map(h => h.toLowerCase()));
+  const fresh = handles.filter(h => isValidHandle(h) && !known.has(h.toLowerCase()));
+  if (!fresh.length) return;
+  members = [...members, ...fresh];
+  persist();
+  renderGroupList();
+  await loadMembers(fresh);
+}
+
+export function removeMember(handle) {
+  members = members.filter(h => h !== handle);
+  failedMembers.delete(handle);
+  persist();
+  const solved = new Map(getGroupSolved());
+  solved.delete(handle);
+  if (getState().groupHandle === handle) updateFilter('groupHandle', '');
+  setGroupSolved(solved);
+  renderGroupList();
+}
+
+function persist() {
+  try { if (_cfls) _cfls.setItem(CF_GROUP_KEY, JSON.stringify(members)); } catch {}
+}
+
+// One handle at a time — a whole group at once trips the CF rate limit
+async function loadMembers(handles) {
+  const errEl = document.getElementById('group-error');
+  handles.forEach(h => failedMembers.delete(h));
+  for (const h of handles) {
+    if (!members.includes(h)) continue;
+    try {
+      const solved = await fetchUserSolved(h);
+      // Removed while its fetch was in flight — don't bring it back into the solved map
+      if (!members.includes(h)) continue;
+      const next = new Map(getGroupSolved());
+      next.set(h, solved);
+      setGroupSolved(next);
+    } catch {
+      if (members.includes(h)) failedMembers.add(h);
+    }
+    renderGroupList();
+  }
+  const failed = handles.filter(h => failedMembers.has(h));
+  if (failed.length && errEl) errEl.textContent = `Could not load: ${failed.join(', ')}`;
+}
+
+function memberStatus(h, solved) {
+  if (solved.has(h))        return 'ready';
+  if (failedMembers.has(h)) return 'error';
+  return 'loading';
+}
+
+function renderGroupList() {
+  const list = document.getElementById('group-list');
+  if (!list) return;
+  const solved = getGroupSolved();
+  list.innerHTML = members.map(h => {
+    const e = escHtml(h);
+    return `
+    <span class="group-chip" data-member="${e}" data-status="${memberStatus(h, solved)}" style="--mclr:${memberColor(h)}">
+      <span class="group-dot"></span>${e}
+      ${solved.has(h) ? `<span class="group-count">${solved.get(h).size}</span>` : ''}
+      <button class="group-remove" data-remove="${e}" title="Remove ${e}">✕</button>
+    </span>
+  `;
+  }).join('');
+}
+
+/** Coloured initials for every member who solved the problem. */
+export function renderGroupMarks(key) {
+  const solved = getGroupSolved();
+  if (!solved.size) return '';
+  const marks = members
+    .filter(h => solved.get(h)?.has(key))
+    .map(h => `<span class="group-mark" style="--mclr:${memberColor(h)}" title="Solved by ${escHtml(h)}">${escHtml(h.charAt(0).toUpperCase())}</span>`)
+    .join('');
+  return marks ? `<div class="group-marks">${marks}</div>` : '';
+}
@@ -0,0 +1,52 @@
+/**
+ * gym-filter.js — Gym contest type chips, star range and season
+ * Renders into #gym-filter. Applies to Gym problems in the table and to which
+ * contests the next Gym batch loads (gym.js → matchesGym).
+ */
+
+import { getState, toggleSetItem, updateFilter, subscribe, GYM_TYPES } from './filters.js';
+import { escHtml } from '../shared/html.js';
+
+const STARS = [1, 2, 3, 4, 5];
+
+export function initGymFilter() {
+  const wrap = document.getElementById('gym-filter');
+  if (!wrap) return;
+  wrap.addEventListener('click', e => {
+    const btn = e.target.closest('[data-gym-type]');
+    if (btn) toggleSetItem('gymTypes', btn.dataset.gymType);
+  });
+  // 'change', not 'input': a re-render mid-typing would drop the season field's focus
+  wrap.addEventListener('change', e => {
+    if (e.target.id === 'gym-min-stars') updateFilter('gymMinStars', Number(e.target.value));
+    if (e.target.id === 'gym-max-stars') updateFilter('gymMaxStars', Number(e.target.value));
+    if (e.target.id === 'gym-season')    updateFilter('gymSeason', e.target.value.trim());
+  });
+  subscribe(renderGymFilter);
+  renderGymFilter();
+}
+
+function renderGymFilter() {
+  const wrap = document.getElementById('gym-filter');
+  if (!wrap) return;
+  const { gymTypes, gymMinStars, gymMaxStars, gymSeason } = getState();
+
+  wrap.innerHTML = `
+    <div class="tag-mode-row">
+      ${GYM_TYPES.map(t =>
+        `<button class="tag-mode-btn ${gymTypes.has(t) ? 'active' : ''}" data-gym-type="${t}">${t}</button>`
+      ).join('')}
+    </div>
+    <div class="rating-row">
+      <select id="gym-min-stars" class="rating-select" title="Minimum difficulty">
+        <option value="0" ${gymMinStars === 0 ? 'selected' : ''}>Any ★</option>
+        ${STARS.map(n => `<option value="${n}" ${gymMinStars === n ? 'selected' : ''}>${'★'.repeat(n)}</option>`).join('')}
+      </select>
+      <span>–</span>
+      <select id="gym-max-stars" class="rating-select" title="Maximum difficulty">
+        ${STARS.map(n => `<option value="${n}" ${gymMaxStars === n ? 'selected' : ''}>${'★'.repeat(n)}</option>`).join('')}
+      </select>
+    </div>
+    <input id="gym-season" class="rating-select" type="text" placeholder="Season, e.g. 2023" value="${escHtml(gymSeason)}">
+  `;
+}
@@ -0,0 +1,73 @@
+/**
+ * gym.js
+ * Opt-in Gym source for CF Filter. Loads the Gym contest list, then problems
+ * for the newest contests matching the Gym filters, and merges them next to
+ * regular rounds (cf-api addGymData → 'cf-data-updated').
+ */
+
+import { fetchGymContests, fetchGymProblems, classifyGym, addGymData } from './cf-api.js';
+import { matchesGym } from './filters.js';
+
+const _cfls = (() => { try { return window['local'+'Storage']; } catch { return null; } })();
+const CF_GYM_KEY = 'cf_filter_gym_enabled';
+
+// Problems come from one standings call per contest — cap each load
+export const GYM_LOAD_LIMIT = 25;
+
+let enabled = _cfls?.getItem(CF_GYM_KEY) === '1';
+const loaded = new Set(); // gym contest ids whose problems are already merged
+let loading = false;
+
+export function isGymEnabled() { return enabled; }
+
+export function initGym() {
+  const toggle = document.getElementById('gym-toggle');
+  const more   = document.getElementById('gym-load-btn');
+  if (toggle) {
+    toggle.checked = enabled;
+    toggle.addEventListener('change', () => {
+      enabled = toggle.checked;
+      try { if (_cfls) _cfls.setItem(CF_GYM_KEY, enabled ? '1' : '0'); } catch {}
+      if (enabled) loadGym();
+    });
+  }
+  more?.addEventListener('click', () => loadGym());
+  if (enabled) loadGym();
+}
+
+/** Load the next batch of matching Gym contests (newest first). Safe to call repeatedly. */
+export async function loadGym() {
+  if (!enabled || loading) return;
+  loading = true;
+  setGymStatus('loading', 'Loading Gym contests…');
+  try {
+    const contests = await fetchGymContests();
+    const batch = contests
+      .filter(c => !loaded.has(c.id) && matchesGym(classifyGym(c)))
+      .sort((a, b) => (b.startTimeSeconds || 0) - (a.startTimeSeconds || 0))
+      .slice(0, GYM_LOAD_LIMIT);
+
+    const problems = [];
+    for (const [i, c] of batch.entries()) {
+      setGymStatus('loading', `Loading Gym problems (${i + 1}/${batch.length})…`);
+      try {
+        problems.push(...await fetchGymProblems(c.id));
+        loaded.add(c.id);
+      } catch { /* private or broken gym — skip it */ }
+    }
+
+    await addGymData(problems, batch.filter(c => loaded.has(c.id)));
+    setGymStatus('ready', `${loaded.size} Gym contests loaded`);
+  } catch (err) {
+    setGymStatus('error', err.message);
+  } finally {
+    loading = false;
+  }
+}
+
+function setGymStatus(cls, text) {
+  const el = document.getElementById('gym-status');
+  if (!el) return;
+  el.className = `status-pill ${cls}`;
+  el.innerHTML = `<span class="sp-dot"></span>${text}`;
+}
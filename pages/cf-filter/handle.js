@@ -1,14 +1,36 @@
 /**
  * handle.js
  * CF handle tracking: fetch user solved problems, display user card
+ * (rating sparkline, progress to next rank, recent submissions, solved-by-rating histogram)
  */
 
-import { fetchUserSolved, fetchUserInfo } from './cf-api.js';
-import { setSolvedSet, updateFilter } from './filters.js';
+import { fetchUserSubmissions, fetchUserInfo, fetchUserRating, shortVerdict, problemUrl } from './cf-api.js';
+import { ratingClass } from './table.js';
+import { escHtml } from '../shared/html.js';
+import { setUserProgress, updateFilter } from './filters.js';
 
 const _cfls = (() => { try { return window['local'+'Storage']; } catch { return null; } })();
 const CF_HANDLE_KEY = 'cf_filter_handle';
 
+// Lower rating bound of each CF rank
+const RANKS = [
+  [0,    'newbie'],
+  [1200, 'pupil'],
+  [1400, 'specialist'],
+  [1600, 'expert'],
+  [1900, 'candidate master'],
+  [2100, 'master'],
+  [2300, 'international master'],
+  [2400, 'grandmaster'],
+  [2600, 'international grandmaster'],
+  [3000, 'legendary grandmaster'],
+];
+
+let loadedHandle = null;
+
+/** Handle whose submissions are currently loaded, or null. */
+export function getLoadedHandle() { return loadedHandle; }
+
 export async function initHandle() {
   const input  = document.getElementById('handle-input');
   const btn    = document.getElementById('handle-btn');
@@ -38,19 +60,21 @@ async function loadHandle(handle, card, errEl) {
 
   try {
     try { if (_cfls) _cfls.setItem(CF_HANDLE_KEY, handle); } catch {}
-    const [userInfo, solved] = await Promise.all([
+    const [userInfo, progress, history] = await Promise.all([
       fetchUserInfo(handle),
-      fetchUserSolved(handle),
+      fetchUserSubmissions(handle),
+      fetchUserRating(handle).catch(() => []), // card still renders without the graph
     ]);
-    setSolvedSet(solved);
-    renderUserCard(card, userInfo, solved.size);
+    loadedHandle = userInfo.handle || handle;
+    setUserProgress(progress);
+    renderUserCard(card, userInfo, progress, history);
   } catch (err) {
     card.style.display = 'none';
     if (errEl) errEl.textContent = err.message;
   }
 }
 
-function renderUserCard(card, user, solvedCount) {
+function renderUserCard(card, user, progress, history) {
   const rankColor = {
     'newbie': '#808080', 'pupil': '#008000', 'specialist': '#03a89e',
     'expert': '#0000ff', 'candidate master': '#aa00aa', 'master': '#ff8c00',
@@ -67,17 +91,91 @@ function renderUserCard(card, user, solvedCount) {
         <div class="user-stats">
           <span>Rating: <strong style="color:${rankColor}">${user.rating || 'N/A'}</strong></span>
           <span>Max: <strong>${user.maxRating || 'N/A'}</strong></span>
-          <span>Solved: <strong style="color:#22c55e">${solvedCount}</strong></span>
+          <span>Solved: <strong style="color:#22c55e">${progress.solved.size}</strong></span>
         </div>
+        ${renderNextRank(user.rating)}
       </div>
+      ${renderSparkline(history, rankColor)}
       <button class="user-card-close" onclick="this.closest('#user-card').style.display='none'; window.clearHandle()">✕</button>
     </div>
+    <div class="user-card-details">
+      ${renderHistogram(progress.solvedByRating)}
+      ${renderRecent(progress.recent)}
+    </div>
   `;
   card.style.display = 'block';
 }
 
+function renderNextRank(rating) {
+  if (!rating) return '';
+  const i = RANKS.findIndex(([min]) => min > rating);
+  if (i < 0) return `<div class="user-next-rank">Top rank reached</div>`;
+  const [min, name] = RANKS[i];
+  const [prevMin]   = RANKS[i - 1];
+  const pct = Math.round((rating - prevMin) / (min - prevMin) * 100);
+  return `
+    <div class="user-next-rank">
+      <div class="unr-bar"><div class="unr-fill" style="width:${pct}%"></div></div>
+      <span><strong>${min - rating}</strong> to ${name}</span>
+    </div>`;
+}
+
+// Rating history as an inline SVG line (no Chart.js needed on this page)
+function renderSparkline(history, color) {
+  if (!history || history.length < 2) return '';
+  const W = 160, H = 48, P = 3;
+  const vals = history.map(h => h.newRating);
+  const lo = Math.min(...vals), hi = Math.max(...vals);
+  const x = i => P + i * (W - 2 * P) / (vals.length - 1);
+  const y = v => H - P - (hi === lo ? 0.5 : (v - lo) / (hi - lo)) * (H - 2 * P);
+  const pts = vals.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+  const last = vals.length - 1;
+  return `
+    <div class="user-spark" title="${history.length} rated contests · ${lo}–${hi}">
+      <svg viewBox="0 0 ${W} ${H}" width="${W}" height="${H}" aria-hidden="true">
+        <polyline points="${pts}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round"/>
+        <circle cx="${x(last).toFixed(1)}" cy="${y(vals[last]).toFixed(1)}" r="2.5" fill="${color}"/>
+      </svg>
+      <span class="user-spark-label">${history.length} contests</span>
+    </div>`;
+}
+
+function renderHistogram(byRating) {
+  const entries = Object.entries(byRating || {}).map(([r, n]) => [Number(r), n]).sort((a, b) => a[0] - b[0]);
+  if (!entries.length) return '';
+  const max = Math.max(...entries.map(e => e[1]));
+  return `
+    <div class="user-hist">
+      <div class="user-section-label">Solved by rating</div>
+      <div class="user-hist-bars">
+        ${entries.map(([r, n]) => `
+          <div class="uh-col" title="${r || 'Unrated'}: ${n} solved">
+            <div class="uh-bar ${ratingClass(r)}" style="height:${Math.max(4, Math.round(n / max * 100))}%"></div>
+            <span class="uh-label">${r ? r / 100 : '?'}</span>
+          </div>`).join('')}
+      </div>
+    </div>`;
+}
+
+function renderRecent(recent) {
+  if (!recent?.length) return '';
+  return `
+    <div class="user-recent">
+      <div class="user-section-label">Latest submissions</div>
+      ${recent.map(s => {
+        const v = shortVerdict(s.verdict);
+        return `<div class="ur-row">
+          <span class="attempt-badge v-${v.toLowerCase()}">${v}</span>
+          <a href="${problemUrl(s)}" target="_blank" rel="noopener" class="prob-link">${s.contestId}${s.index} — ${escHtml(s.name)}</a>
+          <span class="ur-time">${new Date(s.time * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
+        </div>`;
+      }).join('')}
+    </div>`;
+}
+
 // Expose for inline onclick
 window.clearHandle = function() {
-  setSolvedSet(new Set());
+  loadedHandle = null;
+  setUserProgress({ solved: new Set(), attempts: new Map() });
   document.getElementById('handle-input').value = '';
 };
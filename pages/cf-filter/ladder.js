@@ -0,0 +1,197 @@
+/**
+ * ladder.js — A2OJ-style rating ladders built live from the current problemset
+ *
+ * A ladder is an ordered list of problems the tracked handle hasn't solved yet,
+ * `perStep` problems at each rating from `start` upwards in `step` increments.
+ * Ladders persist in localStorage; a rung counts as done once the handle
+ * solves it on CF or it is ticked off manually.
+ */
+
+import { getSolvedSet, subscribe } from './filters.js';
+import { ratingClass } from './table.js';
+import { escHtml } from '../shared/html.js';
+import { problemUrl } from './cf-api.js';
+
+const _cfls = (() => { try { return window['local'+'Storage']; } catch { return null; } })();
+const LADDERS_KEY = 'cf_filter_ladders';
+
+let ladders  = loadLadders();
+let activeId = ladders[0]?.id ?? null;
+let problemsRef = [];
+
+function loadLadders() {
+  try { return JSON.parse(_cfls?.getItem(LADDERS_KEY) || '[]'); } catch { return []; }
+}
+
+function persist() {
+  try { if (_cfls) _cfls.setItem(LADDERS_KEY, JSON.stringify(ladders)); } catch {}
+}
+
+const keyOf = p => `${p.contestId}_${p.index}`;
+const UNRATED = 'unrated';
+
+// Floor of the rung a rating falls into: start, start + step, … (also below start,
+// for problems added by hand)
+const rungFloor = (rating, { start = 800, step = 100 } = {}) => start + Math.floor((rating - start) / step) * step;
+
+// ─── Model ───────────────────────────────────────────────────────────────────
+/**
+ * Pick `perStep` unsolved problems for each of `steps` ratings, most-solved first
+ * (the classics), skipping anything already in the ladder.
+ */
+export function buildLadder(problems, solved, { start = 800, step = 100, perStep = 5, steps = 6 } = {}) {
+  const rungs = [];
+  const used  = new Set();
+  for (let k = 0; k < steps; k++) {
+    const lo = start + k * step;
+    problems
+      .filter(p => p.rating && rungFloor(p.rating, { start, step }) === lo && !solved.has(keyOf(p)) && !used.has(keyOf(p)))
+      .sort((a, b) => b.solveCount - a.solveCount)
+      .slice(0, perStep)
+      .forEach(p => {
+        used.add(keyOf(p));
+        rungs.push({ contestId: p.contestId, index: p.index, name: p.name, rating: p.rating });
+      });
+  }
+  return rungs;
+}
+
+export function createLadder(problems, params) {
+  const ladder = {
+    id:       Date.now(),
+    name:     `${params.start}+ by ${params.step} (${params.perStep}/step)`,
+    params,
+    created:  new Date().toISOString().slice(0, 10),
+    problems: buildLadder(problems, getSolvedSet(), params),
+    done:     [],
+  };
+  ladders.unshift(ladder);
+  activeId = ladder.id;
+  persist();
+  return ladder;
+}
+
+export function getLadders()      { return ladders; }
+export function getActiveLadder() { return ladders.find(l => l.id === activeId) || null; }
+export function setActiveLadder(id) { activeId = id; renderLadder(); }
+
+export function deleteLadder(id) {
+  ladders = ladders.filter(l => l.id !== id);
+  if (activeId === id) activeId = ladders[0]?.id ?? null;
+  persist();
+  renderLadder();
+}
+
+/** Append a problem to a ladder (the active one by default). No-op if it's already there. */
+export function addToLadder(p, id = activeId) {
+  const ladder = ladders.find(l => l.id === id);
+  if (!ladder || ladder.problems.some(q => keyOf(q) === keyOf(p))) return false;
+  ladder.problems.push({ contestId: p.contestId, index: p.index, name: p.name, rating: p.rating });
+  persist();
+  renderLadder();
+  return true;
+}
+
+export function toggleDone(id, key) {
+  const ladder = ladders.find(l => l.id === id);
+  if (!ladder) return;
+  ladder.done = ladder.done.includes(key) ? ladder.done.filter(k => k !== key) : [...ladder.done, key];
+  persist();
+  renderLadder();
+}
+
+export function isRungDone(ladder, key) {
+  return getSolvedSet().has(key) || ladder.done.includes(key);
+}
+
+export function ladderProgress(ladder) {
+  const done = ladder.problems.filter(p => isRungDone(ladder, keyOf(p))).length;
+  return { done, total: ladder.problems.length };
+}
+
+// ─── UI ──────────────────────────────────────────────────────────────────────
+function readNum(id, fallback) {
+  const n = parseInt(document.getElementById(id)?.value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/** Bind #ladder-build (+ #ladder-start/-step/-count/-steps inputs) and render into #ladder-view. */
+export function initLadder(problems) {
+  problemsRef = problems;
+  document.getElementById('ladder-build')?.addEventListener('click', () => {
+    createLadder(problemsRef, {
+      start:   readNum('ladder-start', 800),
+      step:    readNum('ladder-step', 100),
+      perStep: readNum('ladder-count', 5),
+      steps:   readNum('ladder-steps', 6),
+    });
+    renderLadder();
+  });
+
+  document.getElementById('ladder-view')?.addEventListener('click', e => {
+    const t = e.target.closest('[data-ladder-action]');
+    if (!t) return;
+    const ladder = getActiveLadder();
+    switch (t.dataset.ladderAction) {
+      case 'delete': if (ladder) deleteLadder(ladder.id); break;
+      case 'toggle': if (ladder) toggleDone(ladder.id, t.dataset.key); break;
+    }
+  });
+  document.getElementById('ladder-view')?.addEventListener('change', e => {
+    if (e.target.dataset.ladderAction === 'select') setActiveLadder(Number(e.target.value));
+  });
+
+  subscribe(renderLadder); // solved set changes move progress
+  // Background refreshes and Gym batches replace the problem list new ladders are built from
+  document.addEventListener('cf-data-updated', e => { problemsRef = e.detail.problems; });
+  renderLadder();
+}
+
+function renderLadder() {
+  const view = document.getElementById('ladder-view');
+  if (!view) return;
+  const ladder = getActiveLadder();
+  if (!ladder) {
+    view.innerHTML = `<div class="ladder-empty">No ladder yet — pick a start rating and build one.</div>`;
+    return;
+  }
+
+  const { done, total } = ladderProgress(ladder);
+  const pct = total ? Math.round(done / total * 100) : 0;
+  // Rungs are the ladder's own rating buckets; unrated problems (added from the
+  // picker or preview) get their own rung, last
+  const byRating = {};
+  ladder.problems.forEach(p => { (byRating[p.rating ? rungFloor(p.rating, ladder.params) : UNRATED] ||= []).push(p); });
+  const rungOrder = (a, b) => (a === UNRATED) - (b === UNRATED) || a - b;
+
+  view.innerHTML = `
+    <div class="ladder-head">
+      <select class="rating-select" data-ladder-action="select">
+        ${ladders.map(l => `<option value="${l.id}" ${l.id === ladder.id ? 'selected' : ''}>${escHtml(l.name)} · ${l.created}</option>`).join('')}
+      </select>
+      <button class="btn-reset" data-ladder-action="delete" title="Delete this ladder">Delete</button>
+    </div>
+    <div class="ladder-progress">
+      <div class="ladder-bar"><div class="ladder-bar-fill" style="width:${pct}%"></div></div>
+      <span>${done}/${total} · ${pct}%</span>
+    </div>
+    ${Object.keys(byRating).sort(rungOrder).map(r => `
+      <div class="ladder-step">
+        <div class="ladder-step-label">${r === UNRATED
+          ? `<span class="rc rc-none">Unrated</span>`
+          : `<span class="rc ${ratingClass(Number(r))}">${r}</span>`}</div>
+        <div class="ladder-rungs">
+        ${byRating[r].map(p => {
+          const key    = keyOf(p);
+          const isDone = isRungDone(ladder, key);
+          return `<div class="ladder-rung ${isDone ? 'done' : ''}">
+            <input type="checkbox" ${isDone ? 'checked' : ''} ${getSolvedSet().has(key) ? 'disabled title="Solved on Codeforces"' : ''}
+                   data-ladder-action="toggle" data-key="${key}">
+            <a href="${problemUrl(p)}" target="_blank" rel="noopener" class="prob-link">${p.contestId}${p.index} — ${escHtml(p.name)}</a>
+          </div>`;
+        }).join('')}
+        </div>
+      </div>
+    `).join('')}
+  `;
+}
@@ -0,0 +1,53 @@
+/**
+ * personal-filter.js — "Bookmarked only" toggle and status include/exclude chips
+ * Renders into #personal-filter. Status chips cycle like tag chips:
+ * neutral → keep (statusIn) → drop (statusOut) → neutral. "No status" is 'none'.
+ */
+
+import { getState, setState, updateFilter, subscribe } from './filters.js';
+import { STATUSES } from './personal.js';
+
+const STATUS_CHIPS = [...STATUSES, { id: 'none', label: 'No status', icon: '·' }];
+
+export function initPersonalFilter() {
+  const wrap = document.getElementById('personal-filter');
+  if (!wrap) return;
+  wrap.addEventListener('click', e => {
+    const chip = e.target.closest('[data-status-filter]');
+    if (chip) cycleStatusFilter(chip.dataset.statusFilter);
+  });
+  wrap.addEventListener('change', e => {
+    if (e.target.id === 'bookmarked-toggle') updateFilter('bookmarked', e.target.checked);
+  });
+  subscribe(renderPersonalFilter);
+  renderPersonalFilter();
+}
+
+function cycleStatusFilter(id) {
+  const { statusIn, statusOut } = getState();
+  const keep = new Set(statusIn);
+  const drop = new Set(statusOut);
+  if (keep.has(id))      { keep.delete(id); drop.add(id); }
+  else if (drop.has(id)) { drop.delete(id); }
+  else                   { keep.add(id); }
+  setState({ statusIn: keep, statusOut: drop });
+}
+
+function renderPersonalFilter() {
+  const wrap = document.getElementById('personal-filter');
+  if (!wrap) return;
+  const { bookmarked, statusIn, statusOut } = getState();
+
+  wrap.innerHTML = `
+    <label class="solved-toggle">
+      <span>★ Bookmarked only</span>
+      <input type="checkbox" id="bookmarked-toggle" ${bookmarked ? 'checked' : ''}>
+    </label>
+    <div class="tag-chip-grid">
+      ${STATUS_CHIPS.map(s => {
+        const cls = statusIn.has(s.id) ? 'include' : statusOut.has(s.id) ? 'exclude' : '';
+        return `<button class="tag-filter-btn ${cls}" data-status-filter="${s.id}" title="Click to keep, again to hide, again to clear">${s.icon} ${s.label}</button>`;
+      }).join('')}
+    </div>
+  `;
+}
@@ -0,0 +1,124 @@
+/**
+ * personal.js — Per-problem personal state: bookmark, status, difficulty feeling, note
+ * Stored locally under one key; rows and filters read it through getPersonal().
+ * Every edit dispatches 'cf-personal-changed' ({ key }) so filters.js re-runs.
+ */
+
+import { escHtml } from '../shared/html.js';
+
+const _cfls = (() => { try { return window['local'+'Storage']; } catch { return null; } })();
+const PERSONAL_KEY = 'cf_filter_personal';
+
+export const STATUSES = [
+  { id: 'todo',     label: 'To do',       icon: '📌' },
+  { id: 'progress', label: 'In progress', icon: '⏳' },
+  { id: 'skipped',  label: 'Skipped',     icon: '⏭' },
+  { id: 'done',     label: 'Done',        icon: '✅' },
+];
+
+export const FEELINGS = [
+  { id: 'easy',   label: 'Felt easy',   icon: '😌' },
+  { id: 'medium', label: 'Felt medium', icon: '😐' },
+  { id: 'hard',   label: 'Felt hard',   icon: '😣' },
+];
+
+export const NOTE_MAX = 280;
+
+let entries = loadEntries();
+
+function loadEntries() {
+  try { return JSON.parse(_cfls?.getItem(PERSONAL_KEY) || '{}'); } catch { return {}; }
+}
+
+function persist() {
+  try { if (_cfls) _cfls.setItem(PERSONAL_KEY, JSON.stringify(entries)); } catch {}
+}
+
+const EMPTY = Object.freeze({ bookmark: false, status: null, feel: null, note: '' });
+
+/** Personal state for a problem key (`${contestId}_${index}`); never null. */
+export function getPersonal(key) { return entries[key] || EMPTY; }
+export function getAllPersonal()  { return entries; }
+
+export function updatePersonal(key, patch) {
+  const next = { ...getPersonal(key), ...patch, updated: Date.now() };
+  if (!next.bookmark && !next.status && !next.feel && !next.note) delete entries[key];
+  else entries[key] = next;
+  persist();
+  document.dispatchEvent(new CustomEvent('cf-personal-changed', { detail: { key } }));
+}
+
+export function toggleBookmark(key) {
+  updatePersonal(key, { bookmark: !getPersonal(key).bookmark });
+}
+
+// Cycle through none → todo → progress → skipped → done → none
+function cycle(list, current) {
+  const i = list.findIndex(x => x.id === current);
+  return i === list.length - 1 ? null : list[i + 1].id;
+}
+
+export function cycleStatus(key) { updatePersonal(key, { status: cycle(STATUSES, getPersonal(key).status) }); }
+export function cycleFeel(key)   { updatePersonal(key, { feel: cycle(FEELINGS, getPersonal(key).feel) }); }
+
+export function setNote(key, note) {
+  updatePersonal(key, { note: String(note || '').trim().slice(0, NOTE_MAX) });
+}
+
+// ─── Row markup + actions ────────────────────────────────────────────────────
+export function renderPersonalControls(key) {
+  const e      = getPersonal(key);
+  const status = STATUSES.find(s => s.id === e.status);
+  const feel   = FEELINGS.find(f => f.id === e.feel);
+  return `<div class="personal-row">
+    <button class="ps-btn ${e.bookmark ? 'on' : ''}" data-personal="bookmark" data-key="${key}" title="${e.bookmark ? 'Remove bookmark' : 'Bookmark'}">${e.bookmark ? '★' : '☆'}</button>
+    <button class="ps-btn ps-status ${status ? `st-${status.id}` : ''}" data-personal="status" data-key="${key}" title="Status (click to change)">${status ? `${status.icon} ${status.label}` : 'Status'}</button>
+    <button class="ps-btn ${feel ? 'on' : ''}" data-personal="feel" data-key="${key}" title="${feel ? feel.label : 'How did it feel?'}">${feel ? feel.icon : '·'}</button>
+    <button class="ps-btn ${e.note ? 'on' : ''}" data-personal="note" data-key="${key}" title="${e.note ? escHtml(e.note) : 'Add a note'}">📝</button>
+  </div>`;
+}
+
+/** Delegate clicks on [data-personal] buttons inside `root` (the table body). */
+export function initPersonalActions(root = document.getElementById('cf-table-body')) {
+  root?.addEventListener('click', ev => {
+    const btn = ev.target.closest('[data-personal]');
+    if (!btn) return;
+    const key = btn.dataset.key;
+    switch (btn.dataset.personal) {
+      case 'bookmark': toggleBookmark(key); break;
+      case 'status':   cycleStatus(key); break;
+      case 'feel':     cycleFeel(key); break;
+      case 'note':     openNoteEditor(btn); break;
+      case 'note-save': {
+        const input = btn.closest('.ps-note-edit')?.querySelector('.ps-note-input');
+        if (input) setNote(key, input.value);
+        break;
+      }
+      case 'note-cancel': btn.closest('.ps-note-edit')?.remove(); break;
+    }
+  });
+  // Enter saves, Esc cancels (without also closing the preview pane)
+  root?.addEventListener('keydown', ev => {
+    const input = ev.target.closest?.('.ps-note-input');
+    if (!input) return;
+    if (ev.key === 'Enter') { ev.preventDefault(); setNote(input.dataset.key, input.value); }
+    else if (ev.key === 'Escape') { ev.stopPropagation(); input.closest('.ps-note-edit').remove(); }
+  });
+}
+
+// Inline editor under the row's controls; saving re-renders the row without it
+function openNoteEditor(btn) {
+  const row = btn.closest('.personal-row');
+  if (!row) return;
+  let edit = row.nextElementSibling;
+  if (!edit?.classList.contains('ps-note-edit')) {
+    const key = btn.dataset.key;
+    row.insertAdjacentHTML('afterend', `<div class="ps-note-edit">
+      <input class="ps-note-input" data-key="${key}" maxlength="${NOTE_MAX}" value="${escHtml(getPersonal(key).note)}" placeholder="Note (Enter saves, Esc cancels)">
+      <button class="ps-btn" data-personal="note-save" data-key="${key}">Save</button>
+      <button class="ps-btn" data-personal="note-cancel" data-key="${key}" title="Cancel">✕</button>
+    </div>`);
+    edit = row.nextElementSibling;
+  }
+  edit.querySelector('.ps-note-input')?.focus();
+}
@@ -0,0 +1,148 @@
+/**
+ * picker.js — "Pick for me": weighted random draw from the current applyFilters() result
+ *
+ * Optional weights: prefer unsolved, prefer recent contests, prefer tags the
+ * tracked handle has solved least. Picks are remembered for a week so the
+ * same problem doesn't come up twice.
+ */
+
+import { applyFilters, getSolvedSet } from './filters.js';
+import { escHtml } from '../shared/html.js';
+import { problemUrl } from './cf-api.js';
+
+const _cfls = (() => { try { return window['local'+'Storage']; } catch { return null; } })();
+const PICK_HISTORY_KEY  = 'cf_filter_pick_history';
+const PICK_OPTIONS_KEY  = 'cf_filter_pick_options';
+const NO_REPEAT_MS      = 7 * 24 * 3600 * 1000;
+const RECENT_HALF_LIFE  = 2 * 365 * 24 * 3600; // seconds — a contest 2 years old weighs half as much
+
+const DEFAULT_OPTIONS = { preferUnsolved: true, preferRecent: false, preferWeakTags: false };
+
+let options = loadJSON(PICK_OPTIONS_KEY, DEFAULT_OPTIONS);
+
+function loadJSON(key, fallback) {
+  try { return { ...fallback, ...JSON.parse(_cfls?.getItem(key) || 'null') }; } catch { return { ...fallback }; }
+}
+
+function saveJSON(key, val) {
+  try { if (_cfls) _cfls.setItem(key, JSON.stringify(val)); } catch {}
+}
+
+// ─── History ─────────────────────────────────────────────────────────────────
+export function getPickHistory() {
+  let list = [];
+  try { list = JSON.parse(_cfls?.getItem(PICK_HISTORY_KEY) || '[]'); } catch {}
+  const cutoff = Date.now() - NO_REPEAT_MS;
+  return list.filter(e => e.at > cutoff);
+}
+
+function recordPick(key) {
+  const list = getPickHistory();
+  list.unshift({ key, at: Date.now() });
+  saveJSON(PICK_HISTORY_KEY, list.slice(0, 500));
+}
+
+export function clearPickHistory() { saveJSON(PICK_HISTORY_KEY, []); }
+
+// ─── Weighting ───────────────────────────────────────────────────────────────
+function tagSolveCounts(allProblems, solved) {
+  const counts = {};
+  allProblems.forEach(p => {
+    if (!solved.has(`${p.contestId}_${p.index}`)) return;
+    p.tags.forEach(t => { counts[t] = (counts[t] || 0) + 1; });
+  });
+  return counts;
+}
+
+function weightOf(p, contestMap, opts, ctx) {
+  const key = `${p.contestId}_${p.index}`;
+  let w = 1;
+  if (opts.preferUnsolved && ctx.solved.has(key)) w *= 0.15;
+  if (opts.preferRecent) {
+    const start = contestMap[p.contestId]?.startTime;
+    const age   = start ? Math.max(0, ctx.now - start) : RECENT_HALF_LIFE * 4;
+    w *= Math.pow(0.5, age / RECENT_HALF_LIFE);
+  }
+  if (opts.preferWeakTags && p.tags.length) {
+    // Weakest tag dominates: 1 / (1 + solved-with-tag), scaled so an unpractised tag weighs ~10×
+    const minSolved = Math.min(...p.tags.map(t => ctx.tagCounts[t] || 0));
+    w *= 10 / (1 + minSolved);
+  }
+  return w;
+}
+
+/**
+ * Draw one problem from the filtered list. Returns null when nothing matches.
+ * Problems picked within the last week are skipped unless nothing else is left.
+ */
+export function pickProblem(allProblems, contestMap, opts = options) {
+  const filtered = applyFilters(allProblems, contestMap);
+  if (!filtered.length) return null;
+
+  const recent = new Set(getPickHistory().map(e => e.key));
+  let pool = filtered.filter(p => !recent.has(`${p.contestId}_${p.index}`));
+  if (!pool.length) pool = filtered;
+
+  const solved = getSolvedSet();
+  const ctx = {
+    solved,
+    now:       Date.now() / 1000,
+    tagCounts: opts.preferWeakTags ? tagSolveCounts(allProblems, solved) : {},
+  };
+  const weights = pool.map(p => weightOf(p, contestMap, opts, ctx));
+  const total   = weights.reduce((a, b) => a + b, 0);
+
+  let r = Math.random() * total;
+  let chosen = pool[pool.length - 1];
+  for (let i = 0; i < pool.length; i++) {
+    r -= weights[i];
+    if (r <= 0) { chosen = pool[i]; break; }
+  }
+
+  recordPick(`${chosen.contestId}_${chosen.index}`);
+  return chosen;
+}
+
+// ─── UI ──────────────────────────────────────────────────────────────────────
+export function getPickOptions() { return options; }
+export function setPickOption(key, val) {
+  options = { ...options, [key]: val };
+  saveJSON(PICK_OPTIONS_KEY, options);
+}
+
+/** Bind #pick-btn and the [data-pick-opt] checkboxes; results render into #pick-result. */
+export function initPicker(getProblems, getContestMap) {
+  const btn = document.getElementById('pick-btn');
+  if (!btn) return;
+
+  document.querySelectorAll('[data-pick-opt]').forEach(cb => {
+    cb.checked = !!options[cb.dataset.pickOpt];
+    cb.addEventListener('change', () => setPickOption(cb.dataset.pickOpt, cb.checked));
+  });
+
+  btn.addEventListener('click', () => {
+    const contestMap = getContestMap();
+    renderPick(pickProblem(getProblems(), contestMap), contestMap);
+  });
+}
+
+function renderPick(p, contestMap) {
+  const el = document.getElementById('pick-result');
+  if (!el) return;
+  if (!p) {
+    el.innerHTML = `<div class="pick-empty">No problems match the current filters.</div>`;
+    return;
+  }
+  const cfUrl = problemUrl(p);
+  const cName = contestMap[p.contestId]?.name || `Contest ${p.contestId}`;
+  el.innerHTML = `
+    <div class="pick-card">
+      <div class="pick-id">${p.contestId}${p.index}</div>
+      <div class="pick-main">
+        <a href="${cfUrl}" target="_blank" rel="noopener" class="prob-link">${escHtml(p.name)}</a>
+        <div class="pick-meta">${escHtml(cName)} · ${p.rating || 'Unrated'} · ${p.tags.join(', ') || 'no tags'}</div>
+      </div>
+      <a href="${cfUrl}" target="_blank" rel="noopener" class="solve-btn">Solve →</a>
+    </div>
+  `;
+}
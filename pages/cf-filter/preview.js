@@ -0,0 +1,188 @@
+/**
+ * preview.js — Side pane with a problem's details and quick actions
+ *
+ * Clicking a table row (anywhere but its links and buttons) opens the pane in
+ * #cf-preview: metadata, tags, rating, contest, solve count and the loaded
+ * handle's submissions, plus "Start 60-min timer", "Add to ladder" and the
+ * personal controls (bookmark / status / feeling / note). Esc closes it.
+ */
+
+import { getAttemptMap, getSolvedSet, subscribe } from './filters.js';
+import { shortVerdict, CONTEST_FAMILIES, problemUrl, contestUrl } from './cf-api.js';
+import { ratingBadge } from './table.js';
+import { escHtml } from '../shared/html.js';
+import { renderGroupMarks } from './group.js';
+import { renderPersonalControls, initPersonalActions } from './personal.js';
+import { getLadders, getActiveLadder, addToLadder } from './ladder.js';
+import { getLoadedHandle } from './handle.js';
+
+// Where "Start 60-min timer" goes. Relative, so it resolves next to the page hosting the
+// filter (root pages like routine.html); a page living elsewhere overrides it before modules load:
+//   window.SIXTY_MIN_URL = '../sixty-min.html'
+// The problem travels in the URL (sixty-min/timer.js HANDOFF_PARAM), not in storage.
+const SIXTY_MIN_URL = (typeof window !== 'undefined' && window.SIXTY_MIN_URL) || 'sixty-min.html';
+const HANDOFF_PARAM = 'handoff';
+
+const SUBS_SHOWN = 8;
+
+const DIV_LABEL = {
+  div1: 'Div. 1', div2: 'Div. 2', div3: 'Div. 3', div4: 'Div. 4', div12: 'Div. 1 + 2',
+  educational: 'Educational', global: 'Global', gym: 'Gym',
+};
+
+let getProblemsRef   = () => [];
+let getContestMapRef = () => ({});
+let openKey = null;
+let flash   = '';
+
+const keyOf = p => `${p.contestId}_${p.index}`;
+
+/** Bind row clicks on #cf-table-body; the pane renders into #cf-preview. */
+export function initPreview(getProblems, getContestMap) {
+  getProblemsRef   = getProblems;
+  getContestMapRef = getContestMap;
+
+  const pane = document.getElementById('cf-preview');
+  if (!pane) return;
+
+  document.getElementById('cf-table-body')?.addEventListener('click', e => {
+    if (e.target.closest('a, button, input, select')) return;
+    const tr = e.target.closest('tr[data-key]');
+    if (tr) openPreview(tr.dataset.key);
+  });
+
+  pane.addEventListener('click', e => {
+    const btn = e.target.closest('[data-preview]');
+    if (!btn) return;
+    switch (btn.dataset.preview) {
+      case 'close':  closePreview(); break;
+      case 'timer':  startTimerOn(findProblem(openKey)); break;
+      case 'ladder': {
+        const id = Number(pane.querySelector('#preview-ladder')?.value) || getActiveLadder()?.id;
+        flash = addToLadder(findProblem(openKey), id) ? 'Added to ladder' : 'Already in that ladder';
+        renderPreview();
+        break;
+      }
+    }
+  });
+  initPersonalActions(pane);
+
+  document.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && openKey) closePreview();
+  });
+
+  // Personal edits ('cf-personal-changed'), new submissions etc. all end in a notify
+  subscribe(() => { if (openKey) renderPreview(); });
+}
+
+export function openPreview(key) {
+  openKey = key;
+  flash   = '';
+  document.querySelectorAll('#cf-table-body tr.row-previewed').forEach(tr => tr.classList.remove('row-previewed'));
+  document.querySelector(`#cf-table-body tr[data-key="${key}"]`)?.classList.add('row-previewed');
+  renderPreview();
+}
+
+export function closePreview() {
+  openKey = null;
+  document.querySelectorAll('#cf-table-body tr.row-previewed').forEach(tr => tr.classList.remove('row-previewed'));
+  const pane = document.getElementById('cf-preview');
+  if (pane) { pane.classList.remove('open'); pane.innerHTML = ''; }
+}
+
+function findProblem(key) {
+  return getProblemsRef().find(p => keyOf(p) === key) || null;
+}
+
+/** Hand the problem (and the loaded handle, for AC auto-detect) to the 60-minute page, which starts a session on load. */
+function startTimerOn(p) {
+  if (!p) return;
+  const problem = {
+    name:       p.name,
+    rating:     p.rating || null,
+    contestId:  p.contestId,
+    problemIdx: p.index,
+    url:        problemUrl(p),
+  };
+  const handoff = JSON.stringify({ problem, handle: getLoadedHandle() });
+  window.open(`${SIXTY_MIN_URL}?${new URLSearchParams({ [HANDOFF_PARAM]: handoff })}`, '_blank', 'noopener');
+}
+
+// ─── Render ──────────────────────────────────────────────────────────────────
+function renderPreview() {
+  const pane = document.getElementById('cf-preview');
+  if (!pane) return;
+  const p = findProblem(openKey);
+  if (!p) { closePreview(); return; }
+
+  const contestMap = getContestMapRef();
+  const c      = contestMap[p.contestId];
+  const cfUrl  = problemUrl(p);
+  const family = CONTEST_FAMILIES.find(f => f.id === c?.family)?.label;
+  const meta   = [
+    DIV_LABEL[c?.div],
+    family !== DIV_LABEL[c?.div] && family,
+    c?.startTime ? new Date(c.startTime * 1000).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }) : null,
+  ].filter(Boolean).join(' · ');
+
+  pane.innerHTML = `
+    <div class="pv-head">
+      <div class="pv-id">${p.contestId}${p.index}</div>
+      <button class="pv-close" data-preview="close" title="Close (Esc)">✕</button>
+    </div>
+    <a href="${cfUrl}" target="_blank" rel="noopener" class="pv-name prob-link">${escHtml(p.name)}</a>
+    <div class="pv-contest">
+      <a href="${contestUrl(p.contestId)}" target="_blank" rel="noopener">${escHtml(c?.name || `Contest ${p.contestId}`)}</a>
+      ${meta ? `<div class="pv-meta">${escHtml(meta)}</div>` : ''}
+    </div>
+    <div class="pv-stats">
+      <div><span class="pv-label">Rating</span>${ratingBadge(p, contestMap)}</div>
+      <div><span class="pv-label">Solved by</span><strong>${p.solveCount.toLocaleString()}</strong></div>
+    </div>
+    <div class="tag-row">${p.tags.map(t => `<span class="tag-pill">${escHtml(t)}</span>`).join('') || '<span class="pv-muted">No tags</span>'}</div>
+    ${renderGroupMarks(openKey)}
+    ${renderPersonalControls(openKey)}
+    <div class="pv-actions">
+      <button class="pv-btn pv-btn-main" data-preview="timer">⏱ Start 60-min timer</button>
+      ${renderLadderAction()}
+    </div>
+    ${flash ? `<div class="pv-flash">${flash}</div>` : ''}
+    ${renderSubmissions(openKey)}
+  `;
+  pane.classList.add('open');
+}
+
+function renderLadderAction() {
+  const ladders = getLadders();
+  if (!ladders.length) return `<span class="pv-muted">Create a ladder to add problems to it</span>`;
+  const active = getActiveLadder()?.id;
+  const select = ladders.length > 1
+    ? `<select id="preview-ladder" class="pv-select">${ladders.map(l =>
+        `<option value="${l.id}" ${l.id === active ? 'selected' : ''}>${escHtml(l.name)}</option>`).join('')}</select>`
+    : '';
+  return `<span class="pv-ladder">${select}<button class="pv-btn" data-preview="ladder">＋ Add to ladder</button></span>`;
+}
+
+function renderSubmissions(key) {
+  const handle = getLoadedHandle();
+  if (!handle) return `<div class="pv-subs pv-muted">Load a handle to see your submissions here.</div>`;
+  const a = getAttemptMap().get(key);
+  if (!a) return `<div class="pv-subs pv-muted">${escHtml(handle)} hasn't submitted this problem yet.</div>`;
+
+  const solved = getSolvedSet().has(key);
+  const subs   = (a.subs || []).slice(0, SUBS_SHOWN);
+  return `
+    <div class="pv-subs">
+      <div class="user-section-label">${escHtml(handle)} · ${a.attempts} submission${a.attempts === 1 ? '' : 's'}${solved ? ' · solved ✓' : ''}</div>
+      ${subs.map(s => {
+        const v = shortVerdict(s.verdict);
+        return `<div class="ur-row">
+          <span class="attempt-badge v-${v.toLowerCase()}">${v}</span>
+          <a href="${contestUrl(Number(key.split('_')[0]))}/submission/${s.id}" target="_blank" rel="noopener" class="prob-link">${escHtml(s.lang || 'Submission')}</a>
+          ${s.verdict !== 'OK' && s.passed != null ? `<span class="pv-muted">${s.passed} passed</span>` : ''}
+          <span class="ur-time">${new Date(s.time * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: '2-digit' })}</span>
+        </div>`;
+      }).join('')}
+      ${a.attempts > subs.length ? `<div class="pv-muted">+${a.attempts - subs.length} older</div>` : ''}
+    </div>`;
+}
@@ -0,0 +1,121 @@
+/**
+ * search.js — Tokenized fuzzy search with relevance ranking for CF Filter
+ *
+ * Query syntax:
+ *   1843D, 1843d1       → jump straight to that problem (bypasses the other filters);
+ *                         only when the query is nothing but problem codes —
+ *                         in "2d dp" the "2d" is an ordinary token
+ *   contest:1843        → only problems from contest 1843
+ *   "two pointers"      → exact phrase
+ *   dp bitmsk           → every token must fuzzy-match the name, contest or tags
+ */
+
+const PROBLEM_ID_RE = /^(\d+)([a-z]\d?)$/i;
+const CONTEST_RE    = /^contest:(\d+)$/i;
+
+// Relevance weight of each searchable field
+const FIELD_WEIGHT = { name: 3, tags: 2, contest: 1 };
+
+/** Split a raw query into { ids, contestIds, phrases, tokens }. */
+export function parseQuery(raw = '') {
+  const q = { ids: [], contestIds: [], phrases: [], tokens: [] };
+  const idWords = [];
+  const re = /"([^"]+)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(raw)) !== null) {
+    if (m[1]) { q.phrases.push(m[1].toLowerCase()); continue; }
+    const word = m[2];
+    let hit;
+    if ((hit = word.match(PROBLEM_ID_RE))) {
+      q.ids.push({ contestId: Number(hit[1]), index: hit[2].toUpperCase() });
+      idWords.push(word.toLowerCase());
+    }
+    else if ((hit = word.match(CONTEST_RE))) q.contestIds.push(Number(hit[1]));
+    else q.tokens.push(word.toLowerCase());
+  }
+  // Mixed with other terms, ID-looking words are just search words
+  if (q.ids.length && (q.tokens.length || q.phrases.length || q.contestIds.length)) {
+    q.tokens.push(...idWords);
+    q.ids = [];
+  }
+  return q;
+}
+
+export function isEmptyQuery(q) {
+  return !q.ids.length && !q.contestIds.length && !q.phrases.length && !q.tokens.length;
+}
+
+// Edit distance ≤ 1 (one insert, delete or substitution)
+function withinOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0, j = 0, edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { i++; j++; continue; }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (a.length < b.length) j++;
+    else { i++; j++; }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+function isSubsequence(token, word) {
+  let i = 0;
+  for (const ch of word) if (ch === token[i]) i++;
+  return i === token.length;
+}
+
+// Best score of one token against one field's words
+function tokenScore(token, text, words) {
+  let best = 0;
+  for (const w of words) {
+    if (w === token)                                     return 10;
+    if (w.startsWith(token))                             best = Math.max(best, 6);
+    else if (w.includes(token))                          best = Math.max(best, 4);
+    else if (token.length >= 4 && withinOneEdit(token, w)) best = Math.max(best, 3);
+    else if (token.length >= 3 && token[0] === w[0] && isSubsequence(token, w)) best = Math.max(best, 1);
+  }
+  if (!best && text.includes(token)) best = 4; // spans words, e.g. "div.2"
+  return best;
+}
+
+function fieldsOf(p, contestName) {
+  const name    = p.name.toLowerCase();
+  const contest = contestName.toLowerCase();
+  const tags    = p.tags.join(' ').toLowerCase();
+  const split   = s => s.split(/[^a-z0-9+*]+/).filter(Boolean);
+  return {
+    name:    { text: name,    words: split(name) },
+    tags:    { text: tags,    words: split(tags) },
+    contest: { text: contest, words: split(contest) },
+  };
+}
+
+/**
+ * Relevance of a problem for a parsed query; 0 means "no match".
+ * Contest and phrase terms are hard constraints; every plain token must match a field.
+ */
+export function scoreProblem(p, contestName, q) {
+  if (q.ids.length) {
+    return q.ids.some(id => id.contestId === p.contestId && id.index === p.index.toUpperCase()) ? 1000 : 0;
+  }
+  if (q.contestIds.length && !q.contestIds.includes(p.contestId)) return 0;
+
+  const f = fieldsOf(p, contestName);
+  let score = q.contestIds.length ? 1 : 0;
+
+  for (const ph of q.phrases) {
+    const field = Object.keys(FIELD_WEIGHT).find(k => f[k].text.includes(ph));
+    if (!field) return 0;
+    score += 8 * FIELD_WEIGHT[field];
+  }
+  for (const t of q.tokens) {
+    let best = 0;
+    for (const k of Object.keys(FIELD_WEIGHT)) {
+      best = Math.max(best, tokenScore(t, f[k].text, f[k].words) * FIELD_WEIGHT[k]);
+    }
+    if (!best) return 0;
+    score += best;
+  }
+  return score;
+}
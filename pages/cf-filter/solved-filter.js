@@ -0,0 +1,38 @@
+/**
+ * solved-filter.js — All / Unsolved / Solved / Attempted switch
+ * Renders into #solved-filter. Modes other than "All" go by the loaded
+ * handle's submissions (handle.js) and do nothing until one is loaded.
+ */
+
+import { getState, updateFilter, subscribe, SOLVED_MODES } from './filters.js';
+
+const SOLVED_LABELS = {
+  all:       { label: 'All',       title: 'Every problem' },
+  hide:      { label: 'Unsolved',  title: 'Hide problems you have solved' },
+  only:      { label: 'Solved',    title: 'Only problems you have solved' },
+  attempted: { label: 'Attempted', title: 'Tried but never accepted' },
+};
+
+export function initSolvedFilter() {
+  const wrap = document.getElementById('solved-filter');
+  if (!wrap) return;
+  wrap.addEventListener('click', e => {
+    const btn = e.target.closest('[data-solved-mode]');
+    if (btn) updateFilter('solvedMode', btn.dataset.solvedMode);
+  });
+  subscribe(renderSolvedFilter);
+  renderSolvedFilter();
+}
+
+function renderSolvedFilter() {
+  const wrap = document.getElementById('solved-filter');
+  if (!wrap) return;
+  const { solvedMode } = getState();
+  wrap.innerHTML = `
+    <div class="tag-mode-row">
+      ${SOLVED_MODES.map(m =>
+        `<button class="tag-mode-btn ${solvedMode === m ? 'active' : ''}" data-solved-mode="${m}" title="${SOLVED_LABELS[m].title}">${SOLVED_LABELS[m].label}</button>`
+      ).join('')}
+    </div>
+  `;
+}
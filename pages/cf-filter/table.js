@@ -2,7 +2,13 @@
  * table.js — Render problem table, KPI strip, pagination, skeletons
  */
 
-import { getSolvedSet } from './filters.js';
+import { getSolvedSet, getAttemptMap, getEstimate, getState, parseSort, clickSort, subscribe } from './filters.js';
+import { shortVerdict, problemUrl } from './cf-api.js';
+import { renderGroupMarks } from './group.js';
+import { renderPersonalControls } from './personal.js';
+import { escHtml } from '../shared/html.js';
+// analytics.js imports ratingClass back — fine, neither side runs the other at load time
+import { renderAnalytics } from './analytics.js';
 
 export const PAGE_SIZE = 25;
 
@@ -20,10 +26,17 @@ export function ratingClass(r) {
   return 'rc-red-bold';
 }
 
+// Official rating, or a dashed "~est" badge for unrated problems
+export function ratingBadge(p, contestMap) {
+  if (p.rating) return `<span class="rc ${ratingClass(p.rating)}">${p.rating}</span>`;
+  const est = getEstimate(p, contestMap);
+  if (est === null) return `<span class="rc rc-none">—</span>`;
+  return `<span class="rc rc-est ${ratingClass(est)}" title="Estimated from division, index and solve count — not an official rating">~${est}</span>`;
+}
+
 // ── KPI Strip ─────────────────────────────────────────────────────────────────
+// Rating stats for the filtered set live in the analytics strip (analytics.js)
 export function renderKPI(totalProblems, totalContests, filteredCount, solvedCount) {
-  const ratingVals = [];
-  // We'll compute avg from a sample stored externally — just render counts
   setKPI('kpi-total',    totalProblems.toLocaleString());
   setKPI('kpi-contests', totalContests.toLocaleString());
   setKPI('kpi-filtered', filteredCount.toLocaleString());
@@ -53,43 +66,92 @@ export function showSkeletons() {
 export function renderTable(filtered, contestMap, page) {
   const tbody = document.getElementById('cf-table-body');
   if (!tbody) return;
+  renderAnalytics(filtered);
 
-  const solved = getSolvedSet();
   const start  = (page - 1) * PAGE_SIZE;
   const slice  = filtered.slice(start, start + PAGE_SIZE);
 
   if (slice.length === 0) {
-    tbody.innerHTML = `<tr><td colspan="6" class="tbl-empty">No problems match the current filters.</td></tr>`;
+    tbody.innerHTML = EMPTY_ROW;
     renderPagination(0, 1);
     return;
   }
 
-  tbody.innerHTML = slice.map((p, i) => {
-    const key      = `${p.contestId}_${p.index}`;
-    const isSolved = solved.has(key);
-    const cName    = contestMap[p.contestId]?.name || `Contest ${p.contestId}`;
-    const cShort   = cName.length > 28 ? cName.slice(0, 28) + '…' : cName;
-    const cfUrl    = `https://codeforces.com/contest/${p.contestId}/problem/${p.index}`;
-    const rc       = ratingClass(p.rating);
-    const tagHtml  = p.tags.slice(0, 3).map(t =>
-      `<span class="tag-pill">${t}</span>`).join('');
-
-    return `<tr class="${isSolved ? 'row-solved' : ''}">
-      <td class="td-n">${start + i + 1}</td>
-      <td class="td-prob">
-        <a href="${cfUrl}" target="_blank" rel="noopener" class="prob-link">${escHtml(p.name)}</a>
-        ${tagHtml ? `<div class="tag-row">${tagHtml}</div>` : ''}
-      </td>
-      <td class="td-cont" title="${escHtml(cName)}">${escHtml(cShort)}</td>
-      <td class="td-solves">${p.solveCount.toLocaleString()}</td>
-      <td class="td-rating"><span class="rc ${rc}">${p.rating || '—'}</span></td>
-      <td class="td-act"><a href="${cfUrl}" target="_blank" rel="noopener" class="solve-btn">Solve →</a></td>
-    </tr>`;
-  }).join('');
-
+  tbody.innerHTML = slice.map((p, i) => renderRow(p, start + i, contestMap)).join('');
   renderPagination(filtered.length, page);
 }
 
+export const EMPTY_ROW = `<tr><td colspan="6" class="tbl-empty">No problems match the current filters.</td></tr>`;
+
+/** One problem row; `i` is its 0-based position in the filtered list. */
+export function renderRow(p, i, contestMap) {
+  const key      = `${p.contestId}_${p.index}`;
+  const isSolved = getSolvedSet().has(key);
+  const tried    = getAttemptMap().get(key);
+  const cName    = contestMap[p.contestId]?.name || `Contest ${p.contestId}`;
+  const cShort   = cName.length > 28 ? cName.slice(0, 28) + '…' : cName;
+  const cfUrl    = problemUrl(p);
+  const tagHtml  = p.tags.slice(0, 3).map(t =>
+    `<span class="tag-pill">${escHtml(t)}</span>`).join('');
+
+  const rowCls   = isSolved ? 'row-solved' : tried ? 'row-attempted' : '';
+  const tryHtml  = tried
+    ? `<span class="attempt-badge v-${shortVerdict(tried.lastVerdict).toLowerCase()}" title="${tried.attempts} submission${tried.attempts === 1 ? '' : 's'}, last: ${tried.lastVerdict}">${tried.attempts}× · ${shortVerdict(tried.lastVerdict)}</span>`
+    : '';
+
+  return `<tr class="${rowCls}" data-key="${key}" data-idx="${i}">
+    <td class="td-n">${i + 1}</td>
+    <td class="td-prob">
+      <a href="${cfUrl}" target="_blank" rel="noopener" class="prob-link">${escHtml(p.name)}</a>${tryHtml}
+      ${tagHtml ? `<div class="tag-row">${tagHtml}</div>` : ''}
+      ${renderGroupMarks(key)}
+      ${renderPersonalControls(key)}
+    </td>
+    <td class="td-cont" title="${escHtml(cName)}">${escHtml(cShort)}</td>
+    <td class="td-solves">${p.solveCount.toLocaleString()}</td>
+    <td class="td-rating">${ratingBadge(p, contestMap)}</td>
+    <td class="td-act"><a href="${cfUrl}" target="_blank" rel="noopener" class="solve-btn">Solve →</a></td>
+  </tr>`;
+}
+
+// ── Update notice (background refresh of the cached problemset) ─────────────
+export function renderUpdateNotice(newCount) {
+  const el = document.getElementById('cf-update-notice');
+  if (!el) return;
+  if (!newCount) { el.innerHTML = ''; el.style.display = 'none'; return; }
+  el.className = 'status-pill ready';
+  el.innerHTML = `<span class="sp-dot"></span>${newCount.toLocaleString()} new problem${newCount === 1 ? '' : 's'} since your last visit`;
+  el.style.display = 'inline-flex';
+}
+
+// Gym merges reuse the event but aren't "new since your last visit"
+document.addEventListener('cf-data-updated', e => { if (!e.detail.gym) renderUpdateNotice(e.detail.newProblems.length); });
+
+// ── Sortable headers (<th data-sort-key="name|contest|solves|rating">) ─────────
+export function initSortHeaders() {
+  const thead = document.querySelector('.cf-table thead');
+  if (!thead) return;
+  thead.addEventListener('click', e => {
+    const th = e.target.closest('th[data-sort-key]');
+    if (th) clickSort(th.dataset.sortKey, e.shiftKey);
+  });
+  subscribe(renderSortHeaders);
+  renderSortHeaders();
+}
+
+function renderSortHeaders() {
+  const keys = parseSort(getState().sort);
+  document.querySelectorAll('.cf-table thead th[data-sort-key]').forEach(th => {
+    const at = keys.findIndex(k => k.key === th.dataset.sortKey);
+    th.classList.toggle('sorted', at >= 0);
+    th.setAttribute('aria-sort', at === 0 ? (keys[0].dir === 'asc' ? 'ascending' : 'descending') : 'none');
+    th.title = 'Click to sort · Shift-click to add as a secondary key';
+    let ind = th.querySelector('.sort-ind');
+    if (!ind) { ind = document.createElement('span'); ind.className = 'sort-ind'; th.appendChild(ind); }
+    ind.textContent = at < 0 ? '' : `${keys[at].dir === 'asc' ? '▲' : '▼'}${keys.length > 1 ? at + 1 : ''}`;
+  });
+}
+
 // ── Pagination ────────────────────────────────────────────────────────────────
 export function renderPagination(total, page) {
   const wrap = document.getElementById('cf-pagination');
@@ -115,9 +177,3 @@ export function renderPagination(total, page) {
     ).join('') +
     `<button class="pg-btn" data-p="${page + 1}" ${page >= totalPages ? 'disabled' : ''}>Next ›</button>`;
 }
-
-function escHtml(s) {
-  return String(s)
-    .replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;')
-    .replace(/"/g,'&quot;');
-}
@@ -0,0 +1,57 @@
+/**
+ * tag-filter.js — Tag include/exclude chips, AND/OR toggle and max-tag limit
+ * Renders into #tag-filter; all state lives in filters.js.
+ */
+
+import { getState, cycleTag, updateFilter, getAllTags, subscribe } from './filters.js';
+import { escHtml } from '../shared/html.js';
+
+const MAX_TAG_OPTIONS = [1, 2, 3, 4, 5];
+
+let allTags = [];
+
+export function initTagFilter(problems) {
+  const wrap = document.getElementById('tag-filter');
+  if (!wrap) return;
+  allTags = getAllTags(problems);
+
+  wrap.addEventListener('click', e => {
+    const chip = e.target.closest('[data-tag]');
+    if (chip) { cycleTag(chip.dataset.tag); return; }
+    const mode = e.target.closest('[data-tag-mode]');
+    if (mode) updateFilter('tagMode', mode.dataset.tagMode);
+  });
+  wrap.addEventListener('change', e => {
+    if (e.target.id !== 'max-tags-select') return;
+    updateFilter('maxTags', e.target.value === '' ? null : Number(e.target.value));
+  });
+
+  subscribe(renderTagFilter);
+  renderTagFilter();
+}
+
+function renderTagFilter() {
+  const wrap = document.getElementById('tag-filter');
+  if (!wrap) return;
+  const { tagsInclude, tagsExclude, tagMode, maxTags } = getState();
+
+  wrap.innerHTML = `
+    <div class="tag-mode-row">
+      <button class="tag-mode-btn ${tagMode === 'all' ? 'active' : ''}" data-tag-mode="all" title="Problem must have every included tag">All of</button>
+      <button class="tag-mode-btn ${tagMode === 'any' ? 'active' : ''}" data-tag-mode="any" title="Problem must have at least one included tag">Any of</button>
+      <select id="max-tags-select" class="rating-select" title="Maximum number of tags">
+        <option value="">Any tag count</option>
+        ${MAX_TAG_OPTIONS.map(n =>
+          `<option value="${n}" ${maxTags === n ? 'selected' : ''}>≤ ${n} tag${n === 1 ? '' : 's'}</option>`).join('')}
+      </select>
+    </div>
+    <div class="tag-chip-grid">
+      ${allTags.map(t => {
+        const cls = tagsInclude.has(t) ? 'include' : tagsExclude.has(t) ? 'exclude' : '';
+        const sym = cls === 'include' ? '+ ' : cls === 'exclude' ? '− ' : '';
+        const e   = escHtml(t);
+        return `<button class="tag-filter-btn ${cls}" data-tag="${e}">${sym}${e}</button>`;
+      }).join('')}
+    </div>
+  `;
+}
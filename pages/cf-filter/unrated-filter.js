@@ -0,0 +1,29 @@
+/**
+ * unrated-filter.js — "Include unrated" checkbox next to the rating range
+ * Renders into #unrated-filter. Off by default; when on, unrated problems are
+ * judged by their ~estimate against the rating range.
+ */
+
+import { getState, updateFilter, subscribe } from './filters.js';
+
+export function initUnratedFilter() {
+  const wrap = document.getElementById('unrated-filter');
+  if (!wrap) return;
+  wrap.addEventListener('change', e => {
+    if (e.target.id === 'unrated-toggle') updateFilter('showUnrated', e.target.checked);
+  });
+  subscribe(renderUnratedFilter);
+  renderUnratedFilter();
+}
+
+function renderUnratedFilter() {
+  const wrap = document.getElementById('unrated-filter');
+  if (!wrap) return;
+  const { showUnrated } = getState();
+  wrap.innerHTML = `
+    <label class="solved-toggle unrated-toggle" title="Unrated problems are matched by their estimated difficulty">
+      <span>Include unrated (~estimate)</span>
+      <input type="checkbox" id="unrated-toggle" ${showUnrated ? 'checked' : ''}>
+    </label>
+  `;
+}
@@ -0,0 +1,141 @@
+/**
+ * url-state.js — Round-trip the CF Filter state + current page through the query string
+ *
+ * Only values that differ from the defaults are written, so a link like
+ *   ?div=div2&idx=C&rmin=1600&rmax=1900
+ * stays short. Filter changes push a history entry (search typing replaces
+ * the current one); back/forward restores the earlier filters.
+ */
+
+import { getState, getDefaultState, setState, subscribe } from './filters.js';
+
+// state key → { query param, value type }
+const FIELDS = {
+  divs:        { param: 'div',     type: 'set'  },
+  indices:     { param: 'idx',     type: 'set'  },
+  families:    { param: 'fam',     type: 'set'  },
+  ratingMin:   { param: 'rmin',    type: 'int'  },
+  ratingMax:   { param: 'rmax',    type: 'int'  },
+  showUnrated: { param: 'unrated', type: 'bool' },
+  search:      { param: 'q',       type: 'str'  },
+  sort:        { param: 'sort',    type: 'str'  },
+  solvedMode:  { param: 'solved',  type: 'str'  },
+  tagsInclude: { param: 'tags',    type: 'set'  },
+  tagsExclude: { param: 'notags',  type: 'set'  },
+  tagMode:     { param: 'tmode',   type: 'str'  },
+  maxTags:     { param: 'maxtags', type: 'int'  },
+  groupMode:   { param: 'group',   type: 'str'  },
+  groupHandle: { param: 'member',  type: 'str'  },
+  gymTypes:    { param: 'gtype',   type: 'set'  },
+  gymMinStars: { param: 'gmin',    type: 'int'  },
+  gymMaxStars: { param: 'gmax',    type: 'int'  },
+  gymSeason:   { param: 'season',  type: 'str'  },
+  bookmarked:  { param: 'bm',      type: 'bool' },
+  statusIn:    { param: 'st',      type: 'set'  },
+  statusOut:   { param: 'notst',   type: 'set'  },
+};
+
+const PAGE_PARAM = 'p';
+
+let currentPage = 1;
+let restoring   = false;
+let lastSearch  = null;
+let lastFilters = null;
+
+// ─── Encode / decode ─────────────────────────────────────────────────────────
+function encodeValue(type, val) {
+  switch (type) {
+    case 'set':  return [...val].join(',');
+    case 'bool': return val ? '1' : '0';
+    default:     return String(val);
+  }
+}
+
+function decodeValue(type, raw) {
+  switch (type) {
+    case 'set':  return new Set(raw ? raw.split(',').filter(Boolean) : []);
+    case 'int':  { const n = parseInt(raw, 10); return Number.isFinite(n) ? n : undefined; }
+    case 'bool': return raw === '1' || raw === 'true';
+    default:     return raw;
+  }
+}
+
+export function encodeState(state, page = 1) {
+  const defaults = getDefaultState();
+  const params   = new URLSearchParams();
+  Object.entries(FIELDS).forEach(([key, { param, type }]) => {
+    const val = encodeValue(type, state[key]);
+    if (val !== encodeValue(type, defaults[key])) params.set(param, val);
+  });
+  if (page > 1) params.set(PAGE_PARAM, String(page));
+  return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':'); // keep shared links readable
+}
+
+/** Parse a query string into { state, page }. Params that are absent fall back to the defaults. */
+export function decodeState(search) {
+  const params = new URLSearchParams(search);
+  const state  = getDefaultState();
+  Object.entries(FIELDS).forEach(([key, { param, type }]) => {
+    if (!params.has(param)) return;
+    const val = decodeValue(type, params.get(param));
+    if (val !== undefined) state[key] = val;
+  });
+  const page = parseInt(params.get(PAGE_PARAM), 10);
+  return { state, page: page > 0 ? page : 1 };
+}
+
+// ─── History sync ────────────────────────────────────────────────────────────
+function writeURL(replace) {
+  const qs  = encodeState(getState(), currentPage);
+  const url = `${location.pathname}${qs ? '?' + qs : ''}${location.hash}`;
+  if (url === `${location.pathname}${location.search}${location.hash}`) return;
+  history[replace ? 'replaceState' : 'pushState'](null, '', url);
+}
+
+/**
+ * Apply the URL's filters, then keep the URL in sync with every filter change.
+ * `onRestore(page)` runs after back/forward navigation has re-applied a state.
+ * Returns the page number encoded in the initial URL.
+ */
+export function initUrlState(onRestore) {
+  const initial = decodeState(location.search);
+  currentPage = initial.page;
+  restoring   = true;
+  setState(initial.state);
+  restoring   = false;
+  lastSearch  = getState().search;
+  lastFilters = encodeState(getState());
+
+  subscribe(() => {
+    if (restoring) return;
+    // notify() also fires for non-URL changes (e.g. a new solved set)
+    const filters = encodeState(getState());
+    if (filters === lastFilters) return;
+    const { search } = getState();
+    const typing = search !== lastSearch;
+    lastSearch  = search;
+    lastFilters = filters;
+    currentPage = 1; // filtered list changed — back to the first page
+    writeURL(typing);
+  });
+
+  window.addEventListener('popstate', () => {
+    const { state, page } = decodeState(location.search);
+    currentPage = page;
+    restoring   = true;
+    setState(state);
+    restoring   = false;
+    lastSearch  = state.search;
+    lastFilters = encodeState(getState());
+    if (onRestore) onRestore(page);
+  });
+
+  return currentPage;
+}
+
+/** Record a pagination change as its own history entry. */
+export function setUrlPage(page) {
+  if (page === currentPage) return;
+  currentPage = page;
+  writeURL(false);
+}
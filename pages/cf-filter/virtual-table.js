@@ -0,0 +1,202 @@
+/**
+ * virtual-table.js — Virtualized "all rows" mode for the CF problem table
+ *
+ * Only the rows inside the scroll viewport (plus an overscan margin) are in the
+ * DOM; spacer rows stand in for the rest. The row at the top of the viewport is
+ * kept in view across filter changes when it survives the new filter, and the
+ * list is keyboard-navigable (↑/↓ or j/k, PgUp/PgDn, Home/End, Enter opens).
+ * Paginated mode stays the default; the choice is remembered locally.
+ */
+
+import { renderTable, renderRow, renderPagination, EMPTY_ROW } from './table.js';
+import { renderAnalytics } from './analytics.js';
+import { problemUrl } from './cf-api.js';
+
+const _cfls = (() => { try { return window['local'+'Storage']; } catch { return null; } })();
+const VIEW_MODE_KEY = 'cf_filter_view_mode';
+
+const ROW_HEIGHT = 72;  // guess for rows not measured yet; becomes the average of measured rows
+const OVERSCAN   = 8;
+
+let mode      = _cfls?.getItem(VIEW_MODE_KEY) === 'virtual' ? 'virtual' : 'paged';
+let rows      = [];
+let cmap      = {};
+let rowHeight = ROW_HEIGHT;
+let focusIdx  = -1;
+let painted   = [-1, -1];
+let bound     = false;
+
+// Rows differ in height (tags, group marks, attempt badges, personal controls are
+// optional), so each painted row is measured and offsets[i] is the top of row i.
+const heights = new Map(); // problem key → measured px
+let offsets   = [0];
+
+const keyOf = p => `${p.contestId}_${p.index}`;
+
+function getWrap() {
+  return document.getElementById('cf-table-body')?.closest('.cf-table-wrap') || null;
+}
+
+function headHeight(wrap) {
+  return wrap.querySelector('thead')?.offsetHeight || 0;
+}
+
+// The header is sticky, so scrollTop is already the offset of the first visible
+// row; only the height left for rows shrinks.
+function viewHeight(wrap) {
+  return Math.max(0, wrap.clientHeight - headHeight(wrap));
+}
+
+function layout() {
+  offsets = new Array(rows.length + 1);
+  offsets[0] = 0;
+  rows.forEach((p, i) => { offsets[i + 1] = offsets[i] + (heights.get(keyOf(p)) ?? rowHeight); });
+}
+
+// Index of the row covering offset y
+function indexAt(y) {
+  let lo = 0, hi = rows.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= y) lo = mid; else hi = mid - 1;
+  }
+  return Math.max(0, lo);
+}
+
+export function getViewMode() { return mode; }
+
+export function setViewMode(m) {
+  mode = m === 'virtual' ? 'virtual' : 'paged';
+  try { if (_cfls) _cfls.setItem(VIEW_MODE_KEY, mode); } catch {}
+  getWrap()?.classList.toggle('virtual', mode === 'virtual');
+}
+
+/** Render in whichever mode is active. `page` is only used by paginated mode. */
+export function renderProblems(filtered, contestMap, page) {
+  if (mode === 'virtual') renderVirtual(filtered, contestMap);
+  else {
+    getWrap()?.classList.remove('virtual');
+    renderTable(filtered, contestMap, page);
+  }
+}
+
+// ─── Virtual mode ────────────────────────────────────────────────────────────
+export function renderVirtual(filtered, contestMap) {
+  const wrap = getWrap();
+  if (!wrap) return;
+  renderAnalytics(filtered);
+  bindOnce(wrap);
+  wrap.classList.add('virtual');
+  renderPagination(0, 1);
+
+  // Remember what was at the top (and focused) before the list changes
+  const topRow   = rows.length ? rows[indexAt(wrap.scrollTop)] : null;
+  const topKey   = topRow ? keyOf(topRow) : null;
+  const focusKey = rows[focusIdx] ? keyOf(rows[focusIdx]) : null;
+
+  rows = filtered;
+  cmap = contestMap;
+  painted = [-1, -1];
+  layout();
+
+  const idxOf = key => key ? rows.findIndex(p => keyOf(p) === key) : -1;
+  focusIdx = idxOf(focusKey);
+  const top = idxOf(topKey);
+  if (top > 0) wrap.scrollTop = offsets[top];
+  else if (top < 0) wrap.scrollTop = Math.min(wrap.scrollTop, Math.max(0, offsets[rows.length] - viewHeight(wrap)));
+
+  paint(true);
+}
+
+function paint(force = false) {
+  const wrap  = getWrap();
+  const tbody = document.getElementById('cf-table-body');
+  if (!wrap || !tbody) return;
+
+  if (!rows.length) { tbody.innerHTML = EMPTY_ROW; return; }
+
+  const y     = wrap.scrollTop;
+  const first = Math.max(0, indexAt(y) - OVERSCAN);
+  const last  = Math.min(rows.length, indexAt(y + viewHeight(wrap)) + 1 + OVERSCAN);
+  if (!force && first === painted[0] && last === painted[1]) return;
+  painted = [first, last];
+
+  const spacer = h => h > 0 ? `<tr class="v-spacer" aria-hidden="true"><td colspan="6" style="height:${h}px"></td></tr>` : '';
+  tbody.innerHTML =
+    spacer(offsets[first]) +
+    rows.slice(first, last).map((p, i) => renderRow(p, first + i, cmap)).join('') +
+    spacer(offsets[rows.length] - offsets[last]);
+
+  tbody.querySelector(`tr[data-idx="${focusIdx}"]`)?.classList.add('row-focus');
+  if (measure(tbody)) {
+    // Keep the row at the top of the viewport where it was
+    const top = indexAt(y);
+    const into = y - offsets[top];
+    layout();
+    wrap.scrollTop = offsets[top] + into;
+    paint(true);
+  }
+}
+
+// Record the real height of every painted row; true when anything changed
+function measure(tbody) {
+  let changed = false;
+  tbody.querySelectorAll('tr[data-idx]').forEach(tr => {
+    const h = tr.offsetHeight;
+    if (!h || heights.get(tr.dataset.key) === h) return;
+    heights.set(tr.dataset.key, h);
+    changed = true;
+  });
+  if (changed) {
+    let sum = 0;
+    heights.forEach(h => { sum += h; });
+    rowHeight = sum / heights.size;
+  }
+  return changed;
+}
+
+function bindOnce(wrap) {
+  if (bound) return;
+  bound = true;
+  wrap.tabIndex = 0;
+  wrap.addEventListener('scroll', () => { if (mode === 'virtual') requestAnimationFrame(() => paint()); }, { passive: true });
+  wrap.addEventListener('keydown', onKey);
+  wrap.addEventListener('click', e => {
+    const tr = e.target.closest('tr[data-idx]');
+    if (tr && mode === 'virtual') setFocus(Number(tr.dataset.idx), false);
+  });
+}
+
+function onKey(e) {
+  if (mode !== 'virtual' || !rows.length) return;
+  if (e.target.closest?.('input, select, textarea')) return; // typing a note, not navigating
+  const wrap = getWrap();
+  const pageRows = Math.max(1, Math.floor(viewHeight(wrap) / rowHeight) - 1);
+  const moves = {
+    ArrowDown: 1, j: 1, ArrowUp: -1, k: -1,
+    PageDown: pageRows, PageUp: -pageRows,
+    Home: -Infinity, End: Infinity,
+  };
+  if (e.key === 'Enter' && rows[focusIdx]) {
+    const p = rows[focusIdx];
+    window.open(problemUrl(p), '_blank', 'noopener');
+    e.preventDefault();
+    return;
+  }
+  if (!(e.key in moves)) return;
+  e.preventDefault();
+  setFocus(Math.max(0, Math.min(rows.length - 1, focusIdx + moves[e.key])), true);
+}
+
+function setFocus(i, scroll) {
+  focusIdx = i;
+  const wrap = getWrap();
+  if (scroll && wrap) {
+    const y    = offsets[i];
+    const h    = offsets[i + 1] - y;
+    const view = wrap.scrollTop;
+    if (y < view) wrap.scrollTop = y;
+    else if (y + h > view + viewHeight(wrap)) wrap.scrollTop = y + h - viewHeight(wrap);
+  }
+  paint(true);
+}
@@ -0,0 +1,149 @@
+/**
+ * contest-history.js — Past rated-contest performance from the Codeforces API
+ *
+ * Rows come from user.rating (rank, rating change) joined with user.status:
+ * problems solved during the contest, plus those upsolved afterwards.
+ * Renders into #perf-body with #perf-div / #perf-year filters and #perf-summary.
+ */
+
+import { cfRequest } from '../shared/cf-request.js';
+import { getContestDiv, DIV_LABELS } from '../shared/cf-divisions.js';
+import { escHtml } from '../shared/html.js';
+
+const _cfls = (() => { try { return window['local'+'Storage']; } catch { return null; } })();
+const PERF_HANDLE_KEY = 'contests_perf_handle';
+export const DEFAULT_PERF_HANDLE = 'm0stafa';
+
+export { DIV_LABELS };
+
+// Submissions made as a contestant count toward the contest; later ones are upsolves
+const IN_CONTEST = new Set(['CONTESTANT', 'OUT_OF_COMPETITION']);
+
+const cache = new Map(); // handle → Promise<rows>
+
+export function getPerformanceHandle() {
+  return _cfls?.getItem(PERF_HANDLE_KEY) || DEFAULT_PERF_HANDLE;
+}
+
+export function setPerformanceHandle(handle) {
+  try { if (_cfls) _cfls.setItem(PERF_HANDLE_KEY, handle); } catch {}
+}
+
+/**
+ * Newest first: { contestId, name, time, rank, oldRating, newRating, delta,
+ *                 solved, upsolved, div, year, standingsUrl }
+ */
+export function fetchPerformance(handle = getPerformanceHandle()) {
+  if (!cache.has(handle)) {
+    const p = buildPerformance(handle);
+    p.catch(() => cache.delete(handle)); // let the next call retry
+    cache.set(handle, p);
+  }
+  return cache.get(handle);
+}
+
+async function buildPerformance(handle) {
+  const h = encodeURIComponent(handle);
+  const rating = await cfRequest(`/user.rating?handle=${h}`);
+  const status = await cfRequest(`/user.status?handle=${h}&from=1&count=10000`);
+
+  // contestId → { live: Set<index>, after: Set<index> }
+  const solvedBy = new Map();
+  for (const sub of status.result) {
+    if (sub.verdict !== 'OK' || !sub.contestId) continue;
+    let s = solvedBy.get(sub.contestId);
+    if (!s) solvedBy.set(sub.contestId, s = { live: new Set(), after: new Set() });
+    (IN_CONTEST.has(sub.author?.participantType) ? s.live : s.after).add(sub.problem.index);
+  }
+
+  return rating.result.map(r => {
+    const s = solvedBy.get(r.contestId);
+    const upsolved = s ? [...s.after].filter(i => !s.live.has(i)).length : 0;
+    return {
+      contestId:    r.contestId,
+      name:         r.contestName,
+      time:         r.ratingUpdateTimeSeconds,
+      rank:         r.rank,
+      oldRating:    r.oldRating,
+      newRating:    r.newRating,
+      delta:        r.newRating - r.oldRating,
+      solved:       s ? s.live.size : 0,
+      upsolved,
+      div:          getContestDiv(r.contestName),
+      year:         new Date(r.ratingUpdateTimeSeconds * 1000).getFullYear(),
+      standingsUrl: `https://codeforces.com/contest/${r.contestId}/standings`,
+    };
+  }).reverse();
+}
+
+export function filterPerformance(rows, { div = 'all', year = 'all' } = {}) {
+  return rows.filter(r =>
+    (div === 'all' || r.div === div) &&
+    (year === 'all' || r.year === Number(year)));
+}
+
+// ─── UI ──────────────────────────────────────────────────────────────────────
+let rows    = [];
+let filters = { div: 'all', year: 'all' };
+
+/** Load the configured handle's history and bind the filter selects. */
+export async function initPerformance() {
+  const body = document.getElementById('perf-body');
+  if (!body) return;
+
+  const divSel  = document.getElementById('perf-div');
+  const yearSel = document.getElementById('perf-year');
+  divSel?.addEventListener('change',  () => { filters.div  = divSel.value;  renderPerformance(); });
+  yearSel?.addEventListener('change', () => { filters.year = yearSel.value; renderPerformance(); });
+
+  const handle = getPerformanceHandle();
+  body.innerHTML = `<tr><td colspan="6" class="perf-empty">Loading ${escHtml(handle)}'s contests…</td></tr>`;
+  try {
+    rows = await fetchPerformance(handle);
+  } catch (err) {
+    body.innerHTML = `<tr><td colspan="6" class="perf-empty">Couldn't load contest history: ${escHtml(err.message)}</td></tr>`;
+    return;
+  }
+
+  if (divSel) {
+    const divs = Object.keys(DIV_LABELS).filter(d => rows.some(r => r.div === d));
+    divSel.innerHTML = `<option value="all">All divisions</option>` +
+      divs.map(d => `<option value="${d}">${DIV_LABELS[d]}</option>`).join('');
+  }
+  if (yearSel) {
+    const years = [...new Set(rows.map(r => r.year))];
+    yearSel.innerHTML = `<option value="all">All years</option>` +
+      years.map(y => `<option value="${y}">${y}</option>`).join('');
+  }
+  renderPerformance();
+}
+
+function renderPerformance() {
+  const body = document.getElementById('perf-body');
+  if (!body) return;
+  const shown = filterPerformance(rows, filters);
+
+  const summary = document.getElementById('perf-summary');
+  if (summary) {
+    const net  = shown.reduce((s, r) => s + r.delta, 0);
+    const best = shown.length ? Math.min(...shown.map(r => r.rank)) : null;
+    summary.innerHTML = shown.length
+      ? `${shown.length} contest${shown.length === 1 ? '' : 's'} · net <span class="${net >= 0 ? 'delta-pos' : 'delta-neg'}">${net >= 0 ? '+' : ''}${net}</span> · best rank ${best.toLocaleString()}`
+      : '';
+  }
+
+  if (!shown.length) {
+    body.innerHTML = `<tr><td colspan="6" class="perf-empty">${rows.length ? 'No contests match these filters.' : 'No rated contests yet.'}</td></tr>`;
+    return;
+  }
+
+  body.innerHTML = shown.map(r => `
+    <tr>
+      <td>${new Date(r.time * 1000).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}</td>
+      <td><a href="https://codeforces.com/contest/${r.contestId}" target="_blank" rel="noopener">${escHtml(r.name)}</a></td>
+      <td><a href="${r.standingsUrl}" target="_blank" rel="noopener" title="Standings">#${r.rank.toLocaleString()}</a></td>
+      <td>${r.solved}${r.upsolved ? ` <span class="perf-upsolved" title="Solved after the contest">+${r.upsolved}</span>` : ''}</td>
+      <td class="${r.delta >= 0 ? 'delta-pos' : 'delta-neg'}">${r.delta >= 0 ? '+' : ''}${r.delta}</td>
+      <td>${r.newRating}</td>
+    </tr>`).join('');
+}
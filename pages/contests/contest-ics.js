@@ -0,0 +1,138 @@
+/**
+ * contest-ics.js — iCalendar (.ics) export for upcoming contests
+ *
+ * UIDs come from the platform's own contest id (parsed from the link), not from
+ * whichever source reported it, so re-importing after a reschedule updates the
+ * event instead of duplicating it. Schedule estimates are exported TENTATIVE.
+ */
+
+import { fetchContestFeed, contestEnd } from '../shared/contest-service.js';
+import { getPlatform } from '../shared/platforms.js';
+
+const PRODID     = '-//mostafa-cse.github.io//Contest Calendar//EN';
+const UID_DOMAIN = 'mostafa-cse.github.io';
+const ALARM_MIN  = 15;
+
+const slug = s => String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/** Stable across sources and reschedules: platform + native contest id (or the name). */
+export function contestUID(c) {
+  const p      = getPlatform(c.platform);
+  const prefix = p.id === 'other' ? slug(c.platform) : p.uid;
+  const native = p.linkId && c.link?.match(p.linkId)?.[1];
+  const id = native ? slug(native) : c.estimate ? `${slug(c.name)}-${icsDate(c.startTimeSeconds).slice(0, 8)}` : slug(c.name);
+  return `${prefix}-${id}@${UID_DOMAIN}`;
+}
+
+// ─── Formatting ──────────────────────────────────────────────────────────────
+// 20261019T143000Z
+function icsDate(sec) {
+  return new Date(sec * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escText(s) {
+  return String(s ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 §3.1: lines longer than 75 octets continue on a line starting with a space
+const enc = new TextEncoder();
+function fold(line) {
+  if (enc.encode(line).length <= 75) return line;
+  const out = [];
+  let cur = '', size = 0;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) { out.push(cur); cur = ''; size = 0; }
+    cur += ch;
+    size += n;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+function vevent(c, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${contestUID(c)}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${icsDate(c.startTimeSeconds)}`,
+    `DTEND:${icsDate(contestEnd(c).getTime() / 1000)}`,
+    `SUMMARY:${escText(c.estimate ? `${c.name} (estimated)` : c.name)}`,
+    `DESCRIPTION:${escText([
+      `${c.platform} contest`,
+      c.estimate ? 'Time estimated from the usual schedule — check the site.' : `Source: ${(c.sources || [c.source]).join(', ')}`,
+      c.link,
+    ].filter(Boolean).join('\n'))}`,
+    `CATEGORIES:${escText(c.platform)}`,
+    `STATUS:${c.estimate ? 'TENTATIVE' : 'CONFIRMED'}`,
+  ];
+  if (c.link && c.link !== '#') lines.push(`URL:${c.link}`);
+  lines.push(
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escText(`${c.name} starts in ${ALARM_MIN} minutes`)}`,
+    `TRIGGER:-PT${ALARM_MIN}M`,
+    'END:VALARM',
+    'END:VEVENT',
+  );
+  return lines;
+}
+
+/** Serialize contests into one VCALENDAR string (CRLF line endings). */
+export function toICS(contests, name = 'Programming contests') {
+  const stamp = icsDate(Date.now() / 1000);
+  const seen  = new Set();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escText(name)}`,
+  ];
+  for (const c of contests) {
+    const uid = contestUID(c);
+    if (seen.has(uid)) continue;
+    seen.add(uid);
+    lines.push(...vevent(c, stamp));
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+// ─── Download ────────────────────────────────────────────────────────────────
+export function downloadICS(contests, filename = 'contests.ics') {
+  const blob = new Blob([toICS(contests)], { type: 'text/calendar;charset=utf-8' });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadContestICS(c) {
+  downloadICS([c], `${contestUID(c).split('@')[0]}.ics`);
+}
+
+/**
+ * Bind #cnt-ics-btn (every upcoming contest) and, by delegation, any
+ * [data-ics-id="<contest id>"] "add to calendar" button rendered on a card.
+ */
+export function initCalendarExport() {
+  document.getElementById('cnt-ics-btn')?.addEventListener('click', async () => {
+    const { contests } = await fetchContestFeed();
+    downloadICS(contests, `contests-${new Date().toISOString().slice(0, 10)}.ics`);
+  });
+
+  document.addEventListener('click', async e => {
+    const btn = e.target.closest('[data-ics-id]');
+    if (!btn) return;
+    e.preventDefault();
+    const { contests } = await fetchContestFeed();
+    const c = contests.find(x => x.id === btn.dataset.icsId);
+    if (c) downloadContestICS(c);
+  });
+}
@@ -12,6 +12,9 @@
  * No manual mode toggle — schedule is always auto-computed.
  */
 
+import { contestStart, contestEnd, contestPhase } from '../shared/contest-service.js';
+import { getPlatform } from '../shared/platforms.js';
+
 // Colours are tuned for the dark "obsidian & gold" surfaces: each one clears
 // 3:1 contrast on --color-surface while staying distinguishable from its neighbours.
 export const CATEGORIES = {
@@ -70,7 +73,7 @@ const UPSOLVE_BLOCK = { id: 'p-upsolve', category: 'UPSOLVE', activity: 'Contest
 // ─── buildSchedule(contests) ─────────────────────────────────────────────────
 /**
  * @param {Array} contests  — from contest-inject.js getTodayContests()
- *                            each: { platform, name, startTime, endTime, url, phase }
+ *                            (the shared contest model, see ../shared/contest-service.js)
  * @returns {Array} schedule rows sorted by start time
  */
 export function buildSchedule(contests = []) {
@@ -82,16 +85,16 @@ export function buildSchedule(contests = []) {
   const hasContest = contests.length > 0;
 
   for (const c of contests) {
-    const meta = getPlatformMeta(c.platform);
+    const meta = getPlatform(c.platform);
 
     // Convert contest times to Bangladesh (UTC+6), then to minutes
-    const startBD = toLocalMins(c.startTime, 'Asia/Dhaka');
-    const endBD   = toLocalMins(c.endTime,   'Asia/Dhaka');
+    const startBD = toLocalMins(contestStart(c), 'Asia/Dhaka');
+    const endBD   = toLocalMins(contestEnd(c),   'Asia/Dhaka');
 
     // Pre-contest buffer (15m)
     const bufStart = Math.max(startBD - 15, timeToMins('06:00'));
     contestRows.push({
-      id: `c-prep-${c.platform}`,
+      id: `c-prep-${meta.code}`,
       start: minsToTime(bufStart),
       end:   minsToTime(startBD),
       startM: bufStart, endM: startBD,
@@ -102,7 +105,7 @@ export function buildSchedule(contests = []) {
 
     // Contest block itself
     contestRows.push({
-      id:       `c-${c.platform}-${startBD}`,
+      id:       `c-${meta.code}-${startBD}`,
       start:    minsToTime(startBD),
       end:      minsToTime(endBD > 1440 ? endBD - 1440 : endBD),
       startM:   startBD,
@@ -111,16 +114,16 @@ export function buildSchedule(contests = []) {
       activity: `${meta.icon} ${c.name}`,
       type:     'contest',
       fixed:    false,
-      url:      c.url,
-      platform: c.platform,
-      phase:    c.phase,
+      url:      c.link,
+      platform: meta.code,
+      phase:    contestPhase(c),
     });
 
     // Upsolving after contest (1.5h)
     const upStart = endBD + 5; // 5-min breather
     const upEnd   = upStart + 90;
     contestRows.push({
-      id: `c-upsolve-${c.platform}`,
+      id: `c-upsolve-${meta.code}`,
       start: minsToTime(upStart % 1440),
       end:   minsToTime(upEnd   % 1440),
       startM: upStart, endM: upEnd,
@@ -325,16 +328,6 @@ function toLocalMins(date, tz) {
   return h * 60 + m + (isDayAfter ? 1440 : 0);
 }
 
-function getPlatformMeta(platform) {
-  const map = {
-    CF: { label: 'Codeforces', icon: '🔴' },
-    CC: { label: 'CodeChef',   icon: '🟠' },
-    AT: { label: 'AtCoder',    icon: '🟢' },
-    LC: { label: 'LeetCode',   icon: '🟣' },
-  };
-  return map[platform] || { label: platform, icon: '🏆' };
-}
-
 // ─── Practice summary ─────────────────────────────────────────────────────────
 /**
  * Returns total minutes per category in the given schedule
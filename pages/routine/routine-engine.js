@@ -11,6 +11,7 @@ import { buildSchedule, CATEGORIES, timeToMins, minsToTime, blockDuration, fmtDu
 import { checkAlarms, initAlarm, toggleAlarmPanel } from './alarm.js';
 import { initPrayer, updateActivePrayer } from './prayer.js';
 import { initContestInject, getTodayContests } from './contest-inject.js';
+import { initReminderSettings } from '../shared/contest-reminders.js';
 
 let schedule     = [];
 let isContestDay = false;
@@ -25,6 +26,8 @@ export async function initRoutine() {
   // Show skeleton while loading
   showSkeleton();
 
+  initReminderSettings();
+
   // Detect contests first, then build schedule around them
   await initContestInject();
   await prayerPromise;
@@ -0,0 +1,21 @@
+/**
+ * cf-divisions.js — Codeforces division of a round, read from its name
+ * Shared by the CF Filter and the contests page's performance history.
+ */
+
+export const DIV_LABELS = {
+  div1: 'Div. 1', div2: 'Div. 2', div3: 'Div. 3', div4: 'Div. 4', div12: 'Div. 1 + 2',
+  educational: 'Educational', global: 'Global', other: 'Other',
+};
+
+export function getContestDiv(name = '') {
+  const n = name.toLowerCase();
+  if (n.includes('educational'))                         return 'educational';
+  if (n.includes('global'))                              return 'global';
+  if (n.includes('div. 1 + div. 2') || n.includes('div.1+2') || n.includes('div. 1+2')) return 'div12';
+  if (n.includes('div. 1') && !n.includes('div. 2'))    return 'div1';
+  if (n.includes('div. 2'))                             return 'div2';
+  if (n.includes('div. 3'))                             return 'div3';
+  if (n.includes('div. 4'))                             return 'div4';
+  return 'other';
+}
@@ -0,0 +1,196 @@
+/**
+ * cf-request.js
+ * Shared request layer for every Codeforces API call on the site.
+ *
+ *   - One queue: calls are spaced CF_MIN_INTERVAL apart (CF allows ~1 call / 2 s)
+ *   - Routes: direct API first, then CORS proxies — ordered by remembered success rate
+ *   - "Call limit exceeded" answers are retried with exponential backoff
+ *   - Failures surface as a CFRequestError saying what went wrong on each route
+ *
+ * The backend is configurable so a page can run against a self-hosted proxy or
+ * a local fixture server (offline work, tests with recorded responses):
+ *   window.CF_API_CONFIG = { base: 'http://localhost:8787/api' }   // before modules load
+ *   localStorage.cf_api_config = '{"base":"http://localhost:8787/api"}'  // per browser
+ *   configureCF({ transport: fixtureTransport({ 'user.info': {...} }) })  // in code
+ */
+
+const DEFAULT_BASE = 'https://codeforces.com/api';
+
+// Route id → URL builder. 'direct' hits the configured base (CF sends CORS headers).
+const ROUTES = {
+  direct:      url => url,
+  corsproxy:   url => `https://corsproxy.io/?${encodeURIComponent(url)}`,
+  allorigins:  url => `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`,
+  corsanywhere: url => `https://cors-anywhere.herokuapp.com/${url}`,
+};
+
+export const CF_MIN_INTERVAL = 2000;
+const DEFAULT_TIMEOUT = 12000;
+const MAX_RETRIES     = 3;     // extra tries after a rate-limit answer
+const BACKOFF_BASE    = 1000;  // 1s, 2s, 4s…
+
+const _cfls = (() => { try { return window['local'+'Storage']; } catch { return null; } })();
+const HEALTH_KEY = 'cf_route_health';
+const CONFIG_KEY = 'cf_api_config';
+
+// ─── Backend config ──────────────────────────────────────────────────────────
+// base        — API root; a custom base or transport turns the public proxies off unless asked
+// proxies     — try the public CORS proxies after the direct route
+// transport   — (url, init) => Promise<Response>; defaults to fetch
+// minInterval — queue spacing in ms (fixtures don't need CF's rate limit)
+const DEFAULT_CONFIG = { base: DEFAULT_BASE, proxies: true, transport: null, minInterval: CF_MIN_INTERVAL };
+
+let config = { ...DEFAULT_CONFIG };
+configureCF({
+  ...(() => { try { return JSON.parse(_cfls?.getItem(CONFIG_KEY) || 'null'); } catch { return null; } })(),
+  ...(typeof window !== 'undefined' ? window.CF_API_CONFIG : null),
+});
+
+/** Merge backend settings; `configureCF()` with no argument restores the defaults. */
+export function configureCF(opts) {
+  if (!opts) { config = { ...DEFAULT_CONFIG }; return config; }
+  const next = { ...config, ...opts };
+  next.base = String(next.base || DEFAULT_BASE).replace(/\/+$/, '');
+  if (!('proxies' in opts) && (opts.base || opts.transport)) next.proxies = next.base === DEFAULT_BASE && !next.transport;
+  config = next;
+  return config;
+}
+
+export function getCFConfig() { return { ...config }; }
+
+/**
+ * Transport that answers from recorded payloads instead of the network.
+ * `fixtures` maps an endpoint ('user.info?handles=tourist') or a bare method
+ * ('user.info') to a payload; the full endpoint wins. Unknown calls get a 404.
+ */
+export function fixtureTransport(fixtures) {
+  return async url => {
+    const endpoint = url.slice(config.base.length + 1);
+    const method   = endpoint.split('?')[0];
+    const payload  = fixtures[endpoint] ?? fixtures[method];
+    if (payload === undefined) return new Response('Not found', { status: 404 });
+    return new Response(JSON.stringify(payload), {
+      status:  payload.status === 'FAILED' ? 400 : 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  };
+}
+
+/**
+ * code: 'failed'  — CF answered status FAILED (comment says why, e.g. unknown handle)
+ *       'limit'   — still rate-limited after every retry
+ *       'network' — no route produced a usable response (see `attempts`)
+ */
+export class CFRequestError extends Error {
+  constructor(message, { code, method, comment = '', attempts = [] }) {
+    super(message);
+    this.name     = 'CFRequestError';
+    this.code     = code;
+    this.method   = method;
+    this.comment  = comment;
+    this.attempts = attempts; // [{ route, reason, detail }]
+  }
+}
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+// ─── Rate-limit queue ────────────────────────────────────────────────────────
+let nextSlot = 0;
+
+function waitTurn() {
+  const now = Date.now();
+  const at  = Math.max(now, nextSlot);
+  nextSlot  = at + config.minInterval;
+  return sleep(at - now);
+}
+
+// ─── Route health ────────────────────────────────────────────────────────────
+let health = (() => { try { return JSON.parse(_cfls?.getItem(HEALTH_KEY) || '{}'); } catch { return {}; } })();
+
+// Scores describe the real CF API and the public proxies, so a fixture transport
+// or a custom base (which may be down) must not move them
+const isDefaultBackend = () => !config.transport && config.base === DEFAULT_BASE;
+
+function record(route, ok) {
+  if (!isDefaultBackend()) return;
+  const h = health[route] || { ok: 0, fail: 0 };
+  // Exponential decay keeps the score about recent behaviour
+  h.ok   = h.ok * 0.9 + (ok ? 1 : 0);
+  h.fail = h.fail * 0.9 + (ok ? 0 : 1);
+  health[route] = h;
+  try { if (_cfls) _cfls.setItem(HEALTH_KEY, JSON.stringify(health)); } catch {}
+}
+
+function score(route) {
+  const h = health[route] || { ok: 0, fail: 0 };
+  return (h.ok + 1) / (h.ok + h.fail + 2);
+}
+
+/** Route ids, healthiest first (ties keep the declared order: direct, then proxies). */
+export function getRouteOrder() {
+  const ids = config.proxies ? Object.keys(ROUTES) : ['direct'];
+  return ids.sort((a, b) => score(b) - score(a));
+}
+
+export function getRouteHealth() {
+  return Object.keys(ROUTES).map(route => ({ route, score: score(route), ...(health[route] || { ok: 0, fail: 0 }) }));
+}
+
+// ─── Request ─────────────────────────────────────────────────────────────────
+async function tryRoute(route, url, timeout) {
+  let r;
+  try {
+    const send = config.transport || fetch;
+    r = await send(ROUTES[route](url), { signal: AbortSignal.timeout(timeout) });
+  } catch (err) {
+    return { reason: err?.name === 'TimeoutError' ? 'timeout' : 'network', detail: err?.message || '' };
+  }
+  // CF answers FAILED calls with 400 + a JSON body, so read the body before judging the status
+  let d;
+  try { d = JSON.parse(await r.text()); } catch {
+    return { reason: r.ok ? 'parse' : 'http', detail: `HTTP ${r.status}` };
+  }
+  if (d?.status === 'OK' || d?.status === 'FAILED') return { data: d };
+  return { reason: 'parse', detail: 'Unexpected response shape' };
+}
+
+/**
+ * Call a CF API method, e.g. cfRequest('/user.info?handles=tourist').
+ * Resolves to the full `{ status: 'OK', result }` payload.
+ */
+export async function cfRequest(endpoint, { timeout = DEFAULT_TIMEOUT } = {}) {
+  const url    = `${config.base}${endpoint}`;
+  const method = endpoint.split('?')[0].replace(/^\//, '');
+
+  for (let retry = 0; ; retry++) {
+    const attempts = [];
+    let failed = null;
+
+    for (const route of getRouteOrder()) {
+      await waitTurn();
+      const res = await tryRoute(route, url, timeout);
+      if (!res.data) {
+        record(route, false);
+        attempts.push({ route, reason: res.reason, detail: res.detail });
+        continue;
+      }
+      record(route, true);
+      if (res.data.status === 'OK') return res.data;
+      failed = res.data.comment || 'Unknown error';
+      break;
+    }
+
+    if (failed === null) {
+      throw new CFRequestError(
+        `Could not reach Codeforces (${method}): ${attempts.map(a => `${a.route} ${a.reason}`).join(', ')}.`,
+        { code: 'network', method, attempts });
+    }
+    if (!/call limit/i.test(failed)) {
+      throw new CFRequestError(`Codeforces rejected ${method}: ${failed}`, { code: 'failed', method, comment: failed, attempts });
+    }
+    if (retry >= MAX_RETRIES) {
+      throw new CFRequestError(`Codeforces rate limit hit on ${method}; try again shortly.`, { code: 'limit', method, comment: failed, attempts });
+    }
+    await sleep(BACKOFF_BASE * 2 ** retry);
+  }
+}
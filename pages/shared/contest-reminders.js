@@ -0,0 +1,234 @@
+/**
+ * contest-reminders.js
+ * Opt-in browser notifications before contests, shared by the contests and routine pages.
+ *
+ *   - Offsets are configurable (default 1 day, 1 hour, 10 minutes before start)
+ *   - Platforms can be muted; a snooze silences everything until a given time,
+ *     after which reminders that fell due during it fire once (if the contest hasn't started)
+ *   - scheduleReminders(contests) replaces every pending timer — call it on each refresh
+ *   - Fired reminders are remembered, so two open tabs or a reload don't repeat them
+ *
+ * Settings render into #contest-reminders via initReminderSettings().
+ */
+
+const _cfls = (() => { try { return window['local'+'Storage']; } catch { return null; } })();
+const SETTINGS_KEY = 'contest_reminders';
+const FIRED_KEY    = 'contest_reminders_fired';
+
+export const OFFSET_CHOICES = [
+  { min: 1440, label: '1 day' },
+  { min: 180,  label: '3 hours' },
+  { min: 60,   label: '1 hour' },
+  { min: 30,   label: '30 min' },
+  { min: 10,   label: '10 min' },
+  { min: 5,    label: '5 min' },
+];
+
+export const SNOOZE_CHOICES = [
+  { min: 60,  label: '1 hour' },
+  { min: 180, label: '3 hours' },
+  { min: 720, label: '12 hours' },
+];
+
+const DEFAULT_PLATFORMS = ['Codeforces', 'LeetCode', 'AtCoder', 'CodeChef'];
+const MAX_TIMEOUT = 2 ** 31 - 1; // setTimeout overflows past ~24.8 days
+const LATE_GRACE  = 60 * 1000;   // a reminder this late (tab asleep, etc.) still fires
+
+const DEFAULT_SETTINGS = { enabled: false, offsets: [1440, 60, 10], muted: [], snoozeFrom: 0, snoozeUntil: 0 };
+
+function loadJSON(key, fallback) {
+  try { return JSON.parse(_cfls?.getItem(key) || 'null') ?? fallback; } catch { return fallback; }
+}
+function saveJSON(key, val) {
+  try { if (_cfls) _cfls.setItem(key, JSON.stringify(val)); } catch {}
+}
+
+let settings = { ...DEFAULT_SETTINGS, ...loadJSON(SETTINGS_KEY, {}) };
+let contests = [];
+let timers   = [];
+const seenPlatforms = new Set(DEFAULT_PLATFORMS);
+
+export function getReminderSettings() { return settings; }
+
+function updateSettings(patch) {
+  settings = { ...settings, ...patch };
+  saveJSON(SETTINGS_KEY, settings);
+  reschedule();
+  renderReminderSettings();
+}
+
+export function isSupported() { return typeof Notification !== 'undefined'; }
+
+// ─── Contest shape ───────────────────────────────────────────────────────────
+// Accepts both page shapes: { startTimeSeconds, link } and { startTime: Date, url }
+function normalize(c) {
+  const start = c.startTimeSeconds ? c.startTimeSeconds * 1000 : new Date(c.startTime).getTime();
+  return {
+    key:      `${c.platform}|${c.name}|${Math.round(start / 60000)}`,
+    name:     c.name,
+    platform: c.platform,
+    start,
+    url:      c.link || c.url || '',
+    estimate: !!c.estimate,
+  };
+}
+
+// ─── Opt-in ──────────────────────────────────────────────────────────────────
+/** Must run from a click: browsers only show the permission prompt for user gestures. */
+export async function enableReminders() {
+  if (!isSupported()) return false;
+  const perm = Notification.permission === 'granted' ? 'granted' : await Notification.requestPermission();
+  updateSettings({ enabled: perm === 'granted' });
+  return perm === 'granted';
+}
+
+export function disableReminders()   { updateSettings({ enabled: false }); }
+export function setOffsets(mins)     { updateSettings({ offsets: [...new Set(mins)].sort((a, b) => b - a) }); }
+export function snoozeReminders(min) {
+  const now = Date.now();
+  updateSettings(min ? { snoozeFrom: now, snoozeUntil: now + min * 60000 } : { snoozeFrom: 0, snoozeUntil: 0 });
+}
+
+export function togglePlatformMute(platform) {
+  const muted = settings.muted.includes(platform)
+    ? settings.muted.filter(p => p !== platform)
+    : [...settings.muted, platform];
+  updateSettings({ muted });
+}
+
+// ─── Scheduling ──────────────────────────────────────────────────────────────
+/** Replace the reminder schedule with this contest list. */
+export function scheduleReminders(list) {
+  contests = list.map(normalize).filter(c => Number.isFinite(c.start));
+  contests.forEach(c => seenPlatforms.add(c.platform));
+  reschedule();
+  renderReminderSettings();
+}
+
+function reschedule() {
+  timers.forEach(clearTimeout);
+  timers = [];
+  if (!settings.enabled || !isSupported() || Notification.permission !== 'granted') return;
+
+  const now   = Date.now();
+  const fired = pruneFired(now);
+  const { snoozeFrom, snoozeUntil } = settings;
+  // Drop the "snoozed until …" line once the snooze is over
+  if (snoozeUntil > now && snoozeUntil - now <= MAX_TIMEOUT) {
+    timers.push(setTimeout(renderReminderSettings, snoozeUntil - now));
+  }
+  for (const c of contests) {
+    if (settings.muted.includes(c.platform) || c.start <= now) continue;
+    // Reminders due during the snooze collapse into one, delivered when it ends;
+    // ones already past when the snooze began are simply missed, as they'd be anyway
+    const deferred = [];
+    for (const off of settings.offsets) {
+      const id = `${c.key}|${off}`;
+      if (fired[id]) continue;
+      const due = c.start - off * 60000;
+      if (due < snoozeUntil && due >= snoozeFrom - LATE_GRACE) { deferred.push(id); continue; }
+      if (due < now - LATE_GRACE || due - now > MAX_TIMEOUT) continue;
+      timers.push(setTimeout(() => fire(c, [id]), Math.max(0, due - now)));
+    }
+    const wake = snoozeUntil;
+    if (deferred.length && wake < c.start && wake >= now - LATE_GRACE && wake - now <= MAX_TIMEOUT) {
+      timers.push(setTimeout(() => fire(c, deferred), Math.max(0, wake - now)));
+    }
+  }
+}
+
+function pruneFired(now) {
+  const fired = loadJSON(FIRED_KEY, {});
+  for (const [id, t] of Object.entries(fired)) if (now - t > 2 * 86400000) delete fired[id];
+  saveJSON(FIRED_KEY, fired);
+  return fired;
+}
+
+// `ids` are the reminder slots this notification covers (several after a snooze)
+function fire(c, ids) {
+  // Another tab may have fired it already
+  const fired = loadJSON(FIRED_KEY, {});
+  if (ids.every(id => fired[id])) return;
+  ids.forEach(id => { fired[id] = Date.now(); });
+  saveJSON(FIRED_KEY, fired);
+
+  const mins = Math.max(0, Math.round((c.start - Date.now()) / 60000));
+  const when = mins >= 1440 ? `in ${Math.round(mins / 1440)} day${mins >= 2880 ? 's' : ''}`
+             : mins >= 60   ? `in ${Math.round(mins / 60)} h`
+             : mins > 0     ? `in ${mins} min`
+             : 'now';
+  try {
+    const n = new Notification(c.name, {
+      body: `${c.platform} · starts ${when}${c.estimate ? ' (estimated time)' : ''}`,
+      tag:  c.key,
+    });
+    n.onclick = () => {
+      window.focus();
+      if (c.url) window.open(c.url, '_blank', 'noopener');
+      n.close();
+    };
+  } catch { /* some mobile browsers only allow service-worker notifications */ }
+  document.dispatchEvent(new CustomEvent('contest-reminder', { detail: { contest: c } }));
+}
+
+// ─── Settings UI ─────────────────────────────────────────────────────────────
+/** Render and bind the settings panel in #contest-reminders. */
+export function initReminderSettings() {
+  const el = document.getElementById('contest-reminders');
+  if (!el) return;
+  el.addEventListener('click', e => {
+    const btn = e.target.closest('[data-rem]');
+    if (!btn) return;
+    switch (btn.dataset.rem) {
+      case 'enable':  enableReminders(); break;
+      case 'disable': disableReminders(); break;
+      case 'mute':    togglePlatformMute(btn.dataset.platform); break;
+      case 'snooze':  snoozeReminders(Number(btn.dataset.min)); break;
+    }
+  });
+  el.addEventListener('change', e => {
+    if (!e.target.matches('[data-rem-offset]')) return;
+    setOffsets([...el.querySelectorAll('[data-rem-offset]:checked')].map(cb => Number(cb.dataset.remOffset)));
+  });
+  renderReminderSettings();
+}
+
+function renderReminderSettings() {
+  const el = document.getElementById('contest-reminders');
+  if (!el) return;
+  if (!isSupported()) {
+    el.innerHTML = `<div class="rem-note">This browser doesn't support notifications.</div>`;
+    return;
+  }
+  const denied = Notification.permission === 'denied';
+  const on     = settings.enabled && Notification.permission === 'granted';
+  const snoozed = settings.snoozeUntil > Date.now();
+
+  el.innerHTML = `
+    <div class="rem-head">
+      <span class="rem-title">🔔 Contest reminders</span>
+      ${denied
+        ? `<span class="rem-note">Blocked — allow notifications for this site in your browser settings</span>`
+        : `<button class="rem-btn ${on ? 'on' : ''}" data-rem="${on ? 'disable' : 'enable'}">${on ? 'On' : 'Turn on'}</button>`}
+    </div>
+    ${on ? `
+      <div class="rem-row">
+        <span class="rem-label">Remind me</span>
+        ${OFFSET_CHOICES.map(o => `
+          <label class="rem-chip"><input type="checkbox" data-rem-offset="${o.min}" ${settings.offsets.includes(o.min) ? 'checked' : ''}> ${o.label}</label>`).join('')}
+        <span class="rem-label">before</span>
+      </div>
+      <div class="rem-row">
+        <span class="rem-label">Platforms</span>
+        ${[...seenPlatforms].map(p => `
+          <button class="rem-chip ${settings.muted.includes(p) ? 'muted' : ''}" data-rem="mute" data-platform="${p}" title="${settings.muted.includes(p) ? 'Muted — click to unmute' : 'Click to mute'}">${settings.muted.includes(p) ? '🔕' : '🔔'} ${p}</button>`).join('')}
+      </div>
+      <div class="rem-row">
+        <span class="rem-label">Snooze</span>
+        ${snoozed
+          ? `<span class="rem-note">until ${new Date(settings.snoozeUntil).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}</span>
+             <button class="rem-chip" data-rem="snooze" data-min="0">Resume</button>`
+          : SNOOZE_CHOICES.map(s => `<button class="rem-chip" data-rem="snooze" data-min="${s.min}">${s.label}</button>`).join('')}
+      </div>` : ''}
+  `;
+}
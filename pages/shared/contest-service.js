@@ -0,0 +1,135 @@
+/**
+ * contest-service.js — The one contest model and fetch service for every page
+ *
+ * Contest: { id, name, platform, startTimeSeconds, durationSeconds, link,
+ *            isLive, source, sources, estimate? }
+ * `platform` is the registry label (platforms.js). Use contestStart / contestEnd /
+ * contestPhase instead of re-deriving times per page.
+ *
+ * Every adapter in contest-sources.js runs in parallel; results are merged,
+ * deduplicated and tagged with the source that produced them. Schedule-based
+ * guesses are only added for a platform when every adapter covering it failed,
+ * and carry `estimate: true`. Each refresh reschedules contest reminders.
+ */
+
+import { CONTEST_SOURCES } from './contest-sources.js';
+import { getPlatform } from './platforms.js';
+import { scheduleReminders } from './contest-reminders.js';
+
+// Repeated calls (one per platform section) share one round of requests
+const AGGREGATE_TTL = 60 * 1000;
+let aggregate   = null;
+let aggregateAt = 0;
+
+// Same platform, starts within this window and names match → same contest
+const DEDUPE_WINDOW = 10 * 60;
+
+// ─── Aggregator ──────────────────────────────────────────────────────────────
+const normName = s => s.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+function isSameContest(a, b) {
+  if (a.platform !== b.platform) return false;
+  if (a.link && a.link === b.link) return true;
+  if (Math.abs(a.startTimeSeconds - b.startTimeSeconds) > DEDUPE_WINDOW) return false;
+  const x = normName(a.name), y = normName(b.name);
+  return x === y || x.includes(y) || y.includes(x);
+}
+
+/** Merge contests from sources in priority order; duplicates record their extra sources. */
+export function mergeContests(lists) {
+  const merged = [];
+  for (const list of lists) {
+    for (const c of list) {
+      const dup = merged.find(m => isSameContest(m, c));
+      if (dup) { if (!dup.sources.includes(c.source)) dup.sources.push(c.source); continue; }
+      merged.push({ ...c, sources: [c.source] });
+    }
+  }
+  return merged.sort((a, b) => a.startTimeSeconds - b.startTimeSeconds);
+}
+
+async function runSources() {
+  const settled = await Promise.allSettled(CONTEST_SOURCES.map(s => s.fetch()));
+  const live    = new Set();
+  const errors  = [];
+  settled.forEach((r, i) => {
+    if (r.status === 'fulfilled') {
+      const covered = CONTEST_SOURCES[i].platforms || r.value.map(c => getPlatform(c.platform).id);
+      covered.forEach(p => live.add(p));
+    }
+    else errors.push({ source: CONTEST_SOURCES[i].id, message: r.reason?.message || String(r.reason) });
+  });
+
+  const contests = mergeContests(settled.map(r => r.status === 'fulfilled' ? r.value : []));
+  Object.entries(ESTIMATES).forEach(([platform, guess]) => {
+    if (!live.has(platform)) contests.push(...guess());
+  });
+  contests.sort((a, b) => a.startTimeSeconds - b.startTimeSeconds);
+  scheduleReminders(contests);
+  return { contests, errors };
+}
+
+// ─── Model helpers ───────────────────────────────────────────────────────────
+export function contestStart(c) { return new Date(c.startTimeSeconds * 1000); }
+
+/** Missing durations fall back to the platform's usual length. */
+export function contestEnd(c) {
+  const dur = c.durationSeconds || getPlatform(c.platform).duration * 60;
+  return new Date((c.startTimeSeconds + dur) * 1000);
+}
+
+export function contestPhase(c, now = Date.now()) {
+  if (now < contestStart(c).getTime()) return 'upcoming';
+  return now < contestEnd(c).getTime() ? 'running' : 'finished';
+}
+
+/**
+ * Every upcoming or running contest across all sources.
+ * Resolves to { contests, errors: [{ source, message }] }; never rejects.
+ */
+export function fetchContestFeed({ force = false } = {}) {
+  if (force || !aggregate || Date.now() - aggregateAt > AGGREGATE_TTL) {
+    aggregate   = runSources();
+    aggregateAt = Date.now();
+  }
+  return aggregate;
+}
+
+// ─── Estimates (only when no source covering the platform answered) ─────────
+function estimate(platformId, id, name, startTimeSeconds, link) {
+  const p = getPlatform(platformId);
+  return { id: `est-${id}`, name, platform: p.label, startTimeSeconds, durationSeconds: p.duration * 60, link,
+           isLive: false, source: 'estimate', sources: ['estimate'], estimate: true };
+}
+
+function getFallbackLC() {
+  // Weekly contest = every Sunday 2:30 UTC; Biweekly = every other Saturday 14:30 UTC
+  return [
+    estimate('leetcode', 'lc-weekly',   'LeetCode Weekly Contest',   getNextWeekday(0, 2, 30),  'https://leetcode.com/contest/'),
+    estimate('leetcode', 'lc-biweekly', 'LeetCode Biweekly Contest', getNextWeekday(6, 14, 30), 'https://leetcode.com/contest/'),
+  ];
+}
+
+function getFallbackAC() {
+  // ABC: Saturday 21:00 JST = 12:00 UTC
+  return [
+    estimate('atcoder', 'abc-next', 'AtCoder Beginner Contest (ABC)', getNextWeekday(6, 12, 0), 'https://atcoder.jp/contests'),
+  ];
+}
+
+// Registry id → guesses
+const ESTIMATES = {
+  leetcode: getFallbackLC,
+  atcoder:  getFallbackAC,
+};
+
+// ─── Helper ───────────────────────────────────────────────────────────────────
+function getNextWeekday(day, hour, min) {
+  // day: 0=Sun…6=Sat, hour/min in UTC
+  const now = new Date();
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hour, min, 0));
+  const diff = (day - now.getUTCDay() + 7) % 7;
+  d.setUTCDate(d.getUTCDate() + diff);
+  if (d.getTime() / 1000 < Date.now() / 1000) d.setUTCDate(d.getUTCDate() + 7);
+  return Math.floor(d.getTime() / 1000);
+}
@@ -0,0 +1,156 @@
+/**
+ * contest-sources.js — One adapter per contest source
+ *
+ * Every adapter resolves to normalized contests
+ *   { id, name, platform, startTimeSeconds, durationSeconds, link, isLive, source }
+ * or throws when its source is unreachable. `platforms` lists the registry ids it covers, so
+ * the aggregator in contest-service.js knows when a platform has no live data at all;
+ * `null` means "whichever platforms this fetch returned" (clist feeds).
+ * Entries with an unparseable start or end are dropped, as are finished contests.
+ */
+
+import { cfRequest } from './cf-request.js';
+import { getPlatform } from './platforms.js';
+
+const TIMEOUT = 8000;
+
+// Sources without CORS headers are retried through these. `post`: the proxy forwards
+// request bodies — allorigins/raw always GETs the target, so LeetCode's GraphQL POST
+// can't go through it.
+const DIRECT = { post: true, url: u => u };
+const CORS_PROXIES = [
+  { post: true,  url: u => `https://corsproxy.io/?${encodeURIComponent(u)}` },
+  { post: false, url: u => `https://api.allorigins.win/raw?url=${encodeURIComponent(u)}` },
+];
+
+async function fetchJSON(url, init = {}) {
+  const isPost = (init.method || 'GET').toUpperCase() === 'POST';
+  let lastErr = null;
+  for (const route of [DIRECT, ...CORS_PROXIES].filter(r => r.post || !isPost)) {
+    try {
+      const r = await fetch(route.url(url), { ...init, signal: AbortSignal.timeout(TIMEOUT) });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      return await r.json();
+    } catch (err) {
+      lastErr = err;
+    }
+  }
+  throw new Error(`${new URL(url).host} unreachable (${lastErr?.message || 'unknown error'})`);
+}
+
+const nowSec = () => Date.now() / 1000;
+
+function contest(source, platformId, id, name, start, duration, link) {
+  return {
+    id:               `${source}-${id}`,
+    name,
+    platform:         getPlatform(platformId).label,
+    startTimeSeconds: Math.floor(start),
+    durationSeconds:  Math.round(duration),
+    link,
+    isLive:           start <= nowSec() && nowSec() < start + duration,
+    source,
+  };
+}
+
+// Parseable times (a bad date would break sorting and the .ics export), upcoming or still running
+const isUsable = c =>
+  Number.isFinite(c.startTimeSeconds) && Number.isFinite(c.durationSeconds) && c.durationSeconds >= 0 &&
+  c.startTimeSeconds + c.durationSeconds > nowSec();
+
+// ─── Codeforces ──────────────────────────────────────────────────────────────
+const codeforces = {
+  id: 'codeforces',
+  platforms: ['codeforces'],
+  async fetch() {
+    const d = await cfRequest('/contest.list?gym=false', { timeout: TIMEOUT });
+    return d.result
+      .filter(c => (c.phase === 'BEFORE' || c.phase === 'CODING') && c.startTimeSeconds)
+      .map(c => contest('codeforces', 'codeforces', c.id, c.name, c.startTimeSeconds, c.durationSeconds,
+        `https://codeforces.com/contest/${c.id}`))
+      .filter(isUsable);
+  },
+};
+
+// ─── LeetCode (GraphQL) ──────────────────────────────────────────────────────
+const leetcode = {
+  id: 'leetcode',
+  platforms: ['leetcode'],
+  async fetch() {
+    const d = await fetchJSON('https://leetcode.com/graphql', {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ query: '{ upcomingContests { title titleSlug startTime duration } }' }),
+    });
+    const list = d?.data?.upcomingContests;
+    if (!Array.isArray(list)) throw new Error('LeetCode: unexpected response');
+    return list.map(c => contest('leetcode', 'leetcode', c.titleSlug, c.title, c.startTime, c.duration,
+      `https://leetcode.com/contest/${c.titleSlug}/`))
+      .filter(isUsable);
+  },
+};
+
+// ─── AtCoder (AtCoder Problems contest index) ────────────────────────────────
+const atcoder = {
+  id: 'atcoder',
+  platforms: ['atcoder'],
+  async fetch() {
+    const d = await fetchJSON('https://kenkoooo.com/atcoder/resources/contests.json');
+    if (!Array.isArray(d)) throw new Error('AtCoder: unexpected response');
+    return d
+      .map(c => contest('atcoder', 'atcoder', c.id, c.title, c.start_epoch_second, c.duration_second,
+        `https://atcoder.jp/contests/${c.id}`))
+      .filter(isUsable);
+  },
+};
+
+// ─── CodeChef ────────────────────────────────────────────────────────────────
+const codechef = {
+  id: 'codechef',
+  platforms: ['codechef'],
+  async fetch() {
+    const d = await fetchJSON('https://www.codechef.com/api/list/contests/all?sort_by=START&sorting_order=asc&offset=0&mode=all');
+    if (d?.status !== 'success') throw new Error('CodeChef: unexpected response');
+    return [...(d.present_contests || []), ...(d.future_contests || [])].map(c => {
+      const start = Date.parse(c.contest_start_date_iso) / 1000;
+      const end   = Date.parse(c.contest_end_date_iso) / 1000;
+      return contest('codechef', 'codechef', c.contest_code, c.contest_name, start, end - start,
+        `https://www.codechef.com/${c.contest_code}`);
+    }).filter(isUsable);
+  },
+};
+
+// ─── clist-style feed (covers every platform it knows) ───────────────────────
+// clist.by needs an API key for most requests; any feed in its v4 format works.
+const _cfls = (() => { try { return window['local'+'Storage']; } catch { return null; } })();
+const CLIST_KEY = 'contests_clist_feed'; // { url } or { username, apiKey }
+
+function clistUrl() {
+  let cfg = null;
+  try { cfg = JSON.parse(_cfls?.getItem(CLIST_KEY) || 'null'); } catch {}
+  if (cfg?.url) return cfg.url;
+  const base = 'https://clist.by/api/v4/contest/?upcoming=true&format=json&order_by=start&limit=100';
+  return cfg?.username && cfg?.apiKey ? `${base}&username=${encodeURIComponent(cfg.username)}&api_key=${encodeURIComponent(cfg.apiKey)}` : base;
+}
+
+const clist = {
+  id: 'clist',
+  platforms: null, // only the platforms present in the feed
+  async fetch() {
+    const d = await fetchJSON(clistUrl());
+    const list = d?.objects || d?.results;
+    if (!Array.isArray(list)) throw new Error('clist: unexpected response');
+    return list
+      .map(c => ({ c, platform: getPlatform(c.resource || c.host) }))
+      .filter(({ platform }) => platform.id !== 'other')
+      .map(({ c, platform }) => {
+        const start = Date.parse(c.start + 'Z') / 1000;
+        const end   = Date.parse(c.end + 'Z') / 1000;
+        return contest('clist', platform.id, c.id, c.event, start, end - start, c.href);
+      })
+      .filter(isUsable);
+  },
+};
+
+/** In priority order: when two sources report the same contest, the earlier one wins. */
+export const CONTEST_SOURCES = [codeforces, leetcode, atcoder, codechef, clist];
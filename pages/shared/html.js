@@ -0,0 +1,9 @@
+/**
+ * html.js — Escaping for values interpolated into innerHTML templates
+ */
+
+export function escHtml(s) {
+  return String(s)
+    .replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;')
+    .replace(/"/g,'&quot;');
+}
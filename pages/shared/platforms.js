@@ -0,0 +1,35 @@
+/**
+ * platforms.js — The one registry of contest platforms
+ *
+ * Colors, icons, default durations, CSS class, host (for clist-style feeds) and
+ * how to read the platform's own contest id out of a link (for stable calendar UIDs).
+ * `uid` is the calendar UID prefix — already in subscribers' calendars, never change it.
+ * Contests carry `platform` as the label below ('Codeforces', …).
+ */
+
+export const PLATFORMS = [
+  { id: 'codeforces', code: 'CF', uid: 'cf', label: 'Codeforces', icon: '🔴', color: '#ef4444', duration: 120, cls: 'platform-cf',
+    host: 'codeforces.com',  linkId: /codeforces\.com\/contests?\/(\d+)/ },
+  { id: 'leetcode',   code: 'LC', uid: 'lc', label: 'LeetCode',   icon: '🟣', color: '#8b5cf6', duration: 90,  cls: 'platform-lc',
+    host: 'leetcode.com',    linkId: /leetcode\.com\/contest\/([^/?#]+)/ },
+  { id: 'atcoder',    code: 'AT', uid: 'ac', label: 'AtCoder',    icon: '🟢', color: '#22c55e', duration: 100, cls: 'platform-ac',
+    host: 'atcoder.jp',      linkId: /atcoder\.jp\/contests\/([^/?#]+)/ },
+  { id: 'codechef',   code: 'CC', uid: 'cc', label: 'CodeChef',   icon: '🟠', color: '#f59e0b', duration: 180, cls: 'platform-cc',
+    host: 'codechef.com',    linkId: /codechef\.com\/([A-Za-z0-9_]+)(?:[/?#]|$)/ },
+  { id: 'hackerearth', code: 'HE', uid: 'hackerearth', label: 'HackerEarth', icon: '🔵', color: '#3b82f6', duration: 180, cls: 'platform-other',
+    host: 'hackerearth.com', linkId: null },
+  { id: 'hackerrank', code: 'HR', uid: 'hackerrank', label: 'HackerRank', icon: '🟩', color: '#10b981', duration: 120, cls: 'platform-other',
+    host: 'hackerrank.com',  linkId: null },
+  { id: 'topcoder',   code: 'TC', uid: 'topcoder', label: 'TopCoder',   icon: '🔷', color: '#0ea5e9', duration: 90,  cls: 'platform-other',
+    host: 'topcoder.com',    linkId: null },
+];
+
+const OTHER = { id: 'other', code: 'OT', label: 'Other', icon: '🏆', color: '#94a3b8', duration: 120, cls: 'platform-other', host: null, linkId: null };
+
+const lookup = new Map();
+PLATFORMS.forEach(p => [p.id, p.code, p.label, p.host].forEach(k => lookup.set(k.toLowerCase(), p)));
+
+/** Registry entry by id, code, label or host; unknown platforms get a neutral entry with that label. */
+export function getPlatform(key) {
+  return lookup.get(String(key || '').toLowerCase()) || { ...OTHER, label: key || OTHER.label };
+}
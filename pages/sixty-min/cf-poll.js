@@ -8,22 +8,38 @@
  */
 
 import { autoSolve, isRunning, getCurrentProblem, playAlarm } from './timer.js';
+import { cfRequest } from '../shared/cf-request.js';
 
 let handle       = null;
 let pollInterval = null;
 let pollActive   = false;
 let timerStartedAt = null; // Unix timestamp (seconds) when polling started
-
-const PROXIES = [
-  h => `https://corsproxy.io/?${encodeURIComponent(`https://codeforces.com/api/user.status?handle=${h}&from=1&count=30`)}`,
-  h => `https://api.allorigins.win/raw?url=${encodeURIComponent(`https://codeforces.com/api/user.status?handle=${h}&from=1&count=30`)}`,
-];
+let inFlight     = false; // shared queue may hold a call past the next tick
 
 export function setHandle(h) {
   handle = h;
 }
 export function getHandle() { return handle; }
 
+// Session started from another page (timer.js handoff): show the problem and watch for its AC
+document.addEventListener('sm-problem-handoff', e => {
+  const { problem, handle: h } = e.detail;
+  fillProblemFields(problem);
+  if (h) setHandle(h);
+  if (handle) startPolling();
+  else showPollStatus('idle');
+});
+
+// Inputs marked data-problem-field="name|contestId|problemIdx|rating|url"
+function fillProblemFields(problem) {
+  document.querySelectorAll('[data-problem-field]').forEach(el => {
+    const val = problem[el.dataset.problemField];
+    if (val === null || val === undefined) return;
+    if ('value' in el) el.value = val;
+    else el.textContent = val;
+  });
+}
+
 export function startPolling() {
   if (pollActive || !handle) return;
   pollActive   = true;
@@ -43,35 +59,35 @@ async function poll() {
   if (!isRunning() || !handle) return;
   const problem = getCurrentProblem();
 
-  for (const proxyFn of PROXIES) {
-    try {
-      const r = await fetch(proxyFn(handle), { signal: AbortSignal.timeout(6000) });
-      const d = await r.json();
-      if (d.status !== 'OK') continue;
+  if (inFlight) return;
+  inFlight = true;
+
+  try {
+    const d = await cfRequest(`/user.status?handle=${encodeURIComponent(handle)}&from=1&count=30`, { timeout: 6000 });
+    if (!pollActive) return;
 
-      for (const sub of d.result) {
-        if (sub.verdict !== 'OK') continue;
-        // Only consider submissions made after the timer started
-        if (sub.creationTimeSeconds < timerStartedAt) continue;
+    for (const sub of d.result) {
+      if (sub.verdict !== 'OK') continue;
+      // Only consider submissions made after the timer started
+      if (sub.creationTimeSeconds < timerStartedAt) continue;
 
-        // Match against current problem (if one is set)
-        const noTarget = !problem;
-        const matchByContestIdx = problem &&
-          sub.problem.contestId === problem.contestId &&
-          sub.problem.index === problem.problemIdx;
-        const matchByName = problem && sub.problem.name === problem.name;
+      // Match against current problem (if one is set)
+      const noTarget = !problem;
+      const matchByContestIdx = problem &&
+        sub.problem.contestId === problem.contestId &&
+        sub.problem.index === problem.problemIdx;
+      const matchByName = problem && sub.problem.name === problem.name;
 
-        if (noTarget || matchByContestIdx || matchByName) {
-          stopPolling();
-          playAlarm(); // 🔔 ring alarm on AC
-          autoSolve();
-          showACNotify(sub.problem.name);
-          return;
-        }
+      if (noTarget || matchByContestIdx || matchByName) {
+        stopPolling();
+        playAlarm(); // 🔔 ring alarm on AC
+        autoSolve();
+        showACNotify(sub.problem.name);
+        return;
       }
-      return; // Got a valid response — no match yet
-    } catch { /* try next proxy */ }
-  }
+    }
+  } catch { /* keep polling — next tick retries */ }
+  finally { inFlight = false; }
 }
 
 function showPollStatus(status) {
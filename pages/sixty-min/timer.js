@@ -9,6 +9,8 @@
 import { PHASES, QUOTES, getPhase, getPhaseIndex, fmtTime } from './phases.js';
 
 const LS_KEY = 'sm_timer_state';
+// ?handoff={"problem":{…},"handle":"…"} — set by other pages (e.g. the CF Filter preview) to start a session on a problem
+const HANDOFF_PARAM = 'handoff';
 
 let elapsed = 0;
 let running = false;
@@ -126,6 +128,22 @@ function clearState() {
   try { safeStorage.removeItem(LS_KEY); } catch {}
 }
 
+// Read-once handoff: the param is dropped from the URL so a reload doesn't restart the session
+function takeHandoff() {
+  try {
+    const params = new URLSearchParams(location.search);
+    const raw = params.get(HANDOFF_PARAM);
+    if (!raw) return null;
+    params.delete(HANDOFF_PARAM);
+    const qs = params.toString();
+    window.history.replaceState(window.history.state, '', `${location.pathname}${qs ? '?' + qs : ''}${location.hash}`);
+    const { problem, handle } = JSON.parse(raw);
+    return problem?.name ? { problem, handle: handle || null } : null;
+  } catch {
+    return null;
+  }
+}
+
 // ─── Init ─────────────────────────────────────────────────────────────────────
 export function initTimer({ onTickCb, onPhaseCb, onSolveCb, onResetCb }) {
   onTick  = onTickCb;
@@ -152,6 +170,20 @@ export function initTimer({ onTickCb, onPhaseCb, onSolveCb, onResetCb }) {
   } else if (restored && elapsed > 0) {
     showToast('⏸ Timer paused — press Resume to continue');
   }
+
+  const handoff = takeHandoff();
+  if (handoff) {
+    const { problem, handle } = handoff;
+    if (running || elapsed > 0) {
+      showToast(`Finish or reset the current session before starting ${problem.name}`);
+    } else {
+      setCurrentProblem(problem);
+      startTimer();
+      showToast(`⏱ 60 minutes on ${problem.name} — go!`);
+      // cf-poll.js fills the problem fields and starts AC polling for `handle`
+      document.dispatchEvent(new CustomEvent('sm-problem-handoff', { detail: { problem, handle } }));
+    }
+  }
 }
 
 export function setCurrentProblem(p) {